@@ -1,5 +1,8 @@
 // Master dashboard logic
 
+// Day labels for the schedule editor, indexed like Date.getDay()
+const SCHEDULE_DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
 class MasterDashboard extends CCTVClient {
   constructor() {
     super();
@@ -9,6 +12,19 @@ class MasterDashboard extends CCTVClient {
     this.panPosition = { x: 0, y: 0 };
     this.zoomLevel = 1;
     this.isConnected = false;
+    this.recordingsPage = 0;
+    this.recordingsPageSize = 50;
+    this.recordingsHasMore = false;
+    this.recordingsLoading = false;
+    this.recordingsReloadPending = false;
+    this.recordingsTotal = 0;
+    // Checked recordings; with `all`, every recording matching the filters
+    // (loaded or not) except the excluded ones
+    this.recordingsSelection = { all: false, files: new Set(), excluded: new Set() };
+    this.player = null;
+    this.schedules = null;
+    this.bookmarks = new Map();
+    this.bookmarksReloadTimer = null;
   }
 
   async init() {
@@ -52,6 +68,13 @@ class MasterDashboard extends CCTVClient {
     }
     document.getElementById('closeRecordingsBtn').addEventListener('click', () => this.hideRecordings());
     document.getElementById('closeExpandedBtn').addEventListener('click', () => this.closeExpandedView());
+    document.getElementById('expandedRecordBtn').addEventListener('click', () => this.toggleRecording());
+    document.getElementById('expandedRecordingMode').addEventListener('change', (e) => {
+      this.setRecordingMode(e.target.value);
+    });
+    document.getElementById('expandedRecordingProfile').addEventListener('change', (e) => {
+      this.setRecordingProfile(e.target.value);
+    });
 
     document.getElementById('zoomSlider').addEventListener('input', (e) => {
       this.zoomLevel = parseFloat(e.target.value);
@@ -69,6 +92,147 @@ class MasterDashboard extends CCTVClient {
     document.getElementById('recordingsModal').addEventListener('click', (e) => {
       if (e.target.id === 'recordingsModal') this.hideRecordings();
     });
+
+    // Recordings filters reload the list from the first page
+    let filterTimer = null;
+    const filters = document.getElementById('recordingsFilters');
+    const reloadRecordings = () => {
+      clearTimeout(filterTimer);
+      filterTimer = setTimeout(() => {
+        this.selectAllRecordings(false);
+        this.loadRecordings(true);
+      }, 300);
+    };
+    filters.addEventListener('input', reloadRecordings);
+    filters.addEventListener('change', reloadRecordings);
+    filters.addEventListener('submit', (e) => e.preventDefault());
+
+    // Infinite scroll: load the next page when nearing the bottom of the list
+    const recordingsBody = document.querySelector('#recordingsModal .modal-body');
+    recordingsBody.addEventListener('scroll', () => {
+      const nearBottom = recordingsBody.scrollTop + recordingsBody.clientHeight >= recordingsBody.scrollHeight - 200;
+      if (nearBottom && this.recordingsHasMore && !this.recordingsLoading) {
+        this.loadRecordings();
+      }
+    });
+
+    document.getElementById('recordingsList').addEventListener('click', (e) => {
+      const deleteBtn = e.target.closest('.delete-recording');
+      if (deleteBtn) this.deleteRecording(deleteBtn.dataset.filename);
+      const playBtn = e.target.closest('.play-recording');
+      if (playBtn) this.openPlayer(playBtn.dataset.filename, playBtn.dataset.device, { time: playBtn.dataset.started });
+    });
+    document.getElementById('recordingsList').addEventListener('change', (e) => {
+      if (e.target.classList.contains('recording-select')) {
+        this.setRecordingSelected(e.target.dataset.filename, e.target.checked);
+      }
+    });
+
+    // Bulk actions on the selected recordings
+    document.getElementById('selectAllRecordings').addEventListener('change', (e) => this.selectAllRecordings(e.target.checked));
+    document.getElementById('bulkDownloadBtn').addEventListener('click', () => this.downloadSelectedRecordings());
+    document.getElementById('bulkLockBtn').addEventListener('click', () => this.bulkRecordingAction('lock'));
+    document.getElementById('bulkUnlockBtn').addEventListener('click', () => this.bulkRecordingAction('unlock'));
+    document.getElementById('bulkDeleteBtn').addEventListener('click', () => this.bulkRecordingAction('delete'));
+
+    this.setupPlayerHandlers();
+    this.setupScheduleHandlers();
+    this.setupBookmarkHandlers();
+  }
+
+  setupBookmarkHandlers() {
+    document.getElementById('bookmarksBtn').addEventListener('click', () => this.showBookmarks());
+    document.getElementById('closeBookmarksBtn').addEventListener('click', () => this.hideBookmarks());
+    document.getElementById('bookmarksModal').addEventListener('click', (e) => {
+      if (e.target.id === 'bookmarksModal') this.hideBookmarks();
+    });
+
+    const filters = document.getElementById('bookmarksFilters');
+    filters.addEventListener('input', () => this.reloadBookmarks());
+    filters.addEventListener('submit', (e) => e.preventDefault());
+
+    document.getElementById('bookmarksList').addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+      if (button.dataset.action === 'open') this.openBookmark(button.dataset.id);
+      if (button.dataset.action === 'delete') this.deleteBookmark(button.dataset.id);
+    });
+
+    document.getElementById('expandedBookmarkBtn').addEventListener('click', () => this.addLiveBookmark());
+    document.getElementById('playerBookmarkBtn').addEventListener('click', () => this.addPlayerBookmark());
+  }
+
+  setupScheduleHandlers() {
+    document.getElementById('schedulesBtn').addEventListener('click', () => this.showSchedules());
+    document.getElementById('closeSchedulesBtn').addEventListener('click', () => this.hideSchedules());
+    document.getElementById('schedulesModal').addEventListener('click', (e) => {
+      if (e.target.id === 'schedulesModal') this.hideSchedules();
+    });
+    document.getElementById('saveSchedulesBtn').addEventListener('click', () => this.saveSchedules());
+
+    document.getElementById('schedulesEditor').addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+      e.preventDefault();
+      this.editSchedules(button.dataset.action, parseInt(button.dataset.index), parseInt(button.dataset.window));
+    });
+  }
+
+  setupPlayerHandlers() {
+    const video = document.getElementById('playerVideo');
+    const timeline = document.getElementById('playerTimeline');
+
+    document.getElementById('closePlayerBtn').addEventListener('click', () => this.closePlayer());
+    document.getElementById('playerPlayBtn').addEventListener('click', () => {
+      if (video.paused) {
+        video.play().catch(() => {});
+      } else {
+        video.pause();
+      }
+    });
+    document.getElementById('playerStepBackBtn').addEventListener('click', () => this.stepFrame(-1));
+    document.getElementById('playerStepFwdBtn').addEventListener('click', () => this.stepFrame(1));
+    document.getElementById('playerPrevBtn').addEventListener('click', () => this.loadPlayerRecording(this.player.index - 1));
+    document.getElementById('playerNextBtn').addEventListener('click', () => this.loadPlayerRecording(this.player.index + 1));
+
+    document.getElementById('playerSpeed').addEventListener('change', (e) => {
+      this.setPlaybackSpeed(parseFloat(e.target.value));
+    });
+
+    // Show the position while dragging, seek on release
+    timeline.addEventListener('input', () => {
+      if (!this.player) return;
+      this.player.scrubbing = true;
+      this.updatePlayerTime(parseFloat(timeline.value));
+    });
+    timeline.addEventListener('change', () => {
+      if (!this.player) return;
+      this.player.scrubbing = false;
+      this.seekPlayer(parseFloat(timeline.value));
+    });
+
+    document.getElementById('playerJumpForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      const value = document.getElementById('playerJumpTime').value;
+      if (value) this.jumpToWallClock(new Date(value));
+    });
+
+    video.addEventListener('timeupdate', () => {
+      if (this.player && !this.player.scrubbing) this.updatePlayerTime(this.getPlayerPosition());
+    });
+    video.addEventListener('play', () => { document.getElementById('playerPlayBtn').textContent = '❚❚'; });
+    video.addEventListener('pause', () => { document.getElementById('playerPlayBtn').textContent = '▶'; });
+
+    document.getElementById('playerMarkInBtn').addEventListener('click', () => this.markClip('in'));
+    document.getElementById('playerMarkOutBtn').addEventListener('click', () => this.markClip('out'));
+    document.getElementById('playerExportBtn').addEventListener('click', () => this.exportClip());
+
+    // Continuous playback across the device's consecutive recordings
+    video.addEventListener('ended', () => {
+      if (this.player && this.player.index < this.player.playlist.length - 1) {
+        this.loadPlayerRecording(this.player.index + 1);
+      }
+    });
   }
 
   async connectToServer() {
@@ -132,8 +296,30 @@ class MasterDashboard extends CCTVClient {
       await this.consumeProducer(data);
     });
 
+    this.on('motion-start', (event) => {
+      this.setMotionState(event.deviceId, true);
+    });
+
+    this.on('motion-end', (event) => {
+      this.setMotionState(event.deviceId, false);
+    });
+
+    this.on('recording-state', (state) => {
+      this.setRecordingState(state.clientId, state);
+    });
+
+    // Keep an open bookmarks list current, including other operators' notes
+    for (const type of ['bookmark-added', 'bookmark-updated', 'bookmark-removed']) {
+      this.on(type, () => this.reloadBookmarks());
+    }
+    this.on('bookmark-error', (data) => {
+      alert(`Failed to save bookmark: ${data.message}`);
+    });
+
     this.on('error', (data) => {
       console.error('Server error:', data.message);
+      // A failed record now/stop request leaves the button as it was
+      if (this.expandedStreamerId) this.updateRecordButton();
     });
   }
 
@@ -178,10 +364,13 @@ class MasterDashboard extends CCTVClient {
       deviceName: deviceName || 'Unknown Device',
       producers: producers || [],
       videoConsumer: null,
-      audioConsumer: null
+      audioConsumer: null,
+      recording: { state: 'stopped' }
     });
 
     this.createVideoTile(clientId, deviceName || 'Unknown Device');
+    this.setMotionState(clientId, !!streamer.motion);
+    if (streamer.recording) this.setRecordingState(clientId, streamer.recording);
     this.updateStreamCount();
 
     // Consume existing producers
@@ -243,7 +432,8 @@ class MasterDashboard extends CCTVClient {
       <div class="tile-overlay">
         <div class="tile-name">${this.escapeHtml(deviceName)}</div>
         <div class="tile-status">
-          <span class="recording-indicator">● REC</span>
+          <span class="recording-indicator"></span>
+          <span class="motion-indicator">MOTION</span>
         </div>
       </div>
       <div class="tile-loading">
@@ -260,6 +450,53 @@ class MasterDashboard extends CCTVClient {
     this.hideEmptyState();
   }
 
+  // Highlight a tile while the server reports motion on its camera
+  setMotionState(clientId, active) {
+    const tile = this.streamElements.get(clientId);
+    if (tile) tile.classList.toggle('motion', active);
+  }
+
+  // Reflect the server's recording state on the tile's REC indicator and the
+  // expanded view's record button
+  setRecordingState(clientId, state) {
+    const streamer = this.streamers.get(clientId);
+    if (!streamer) return;
+    streamer.recording = state;
+
+    const tile = this.streamElements.get(clientId);
+    if (tile) {
+      const indicator = tile.querySelector('.recording-indicator');
+      tile.classList.toggle('recording', state.state === 'recording');
+      tile.classList.toggle('recording-error', state.state === 'error' || state.state === 'restarting');
+      indicator.textContent = { error: '⚠ REC FAILED', restarting: '⟳ REC RESTARTING' }[state.state] || '● REC';
+      indicator.title = state.error || state.filename || '';
+    }
+
+    if (this.expandedStreamerId === clientId) this.updateRecordButton();
+  }
+
+  updateRecordButton() {
+    const button = document.getElementById('expandedRecordBtn');
+    const state = this.streamers.get(this.expandedStreamerId)?.recording || { state: 'stopped' };
+
+    button.disabled = state.state === 'unavailable';
+    button.textContent = ['recording', 'restarting'].includes(state.state) ? '■ Stop recording' : '● Record now';
+    button.title = state.error || '';
+  }
+
+  // "Record now" / stop for the expanded device
+  toggleRecording() {
+    const streamer = this.streamers.get(this.expandedStreamerId);
+    if (!streamer) return;
+
+    const button = document.getElementById('expandedRecordBtn');
+    button.disabled = true;
+    const active = ['recording', 'restarting'].includes(streamer.recording?.state);
+    this.send(active ? 'stop-recording' : 'start-recording', {
+      targetClientId: this.expandedStreamerId
+    });
+  }
+
   removeVideoTile(clientId) {
     const tile = this.streamElements.get(clientId);
     if (tile) {
@@ -362,6 +599,11 @@ class MasterDashboard extends CCTVClient {
 
     document.getElementById('expandedDeviceName').textContent = streamer.deviceName || clientId;
     document.getElementById('expandedDeviceId').textContent = clientId.slice(0, 8);
+    document.getElementById('expandedHlsLink').href = `/live/${encodeURIComponent(clientId)}/index.m3u8`;
+    document.getElementById('expandedSnapshotLink').href = `/api/devices/${encodeURIComponent(clientId)}/snapshot.jpg`;
+    this.loadRecordingMode(streamer.deviceName);
+    this.loadRecordingProfile(streamer.deviceName);
+    this.updateRecordButton();
 
     const expandedVideo = document.getElementById('expandedVideo');
     if (streamer.videoConsumer) {
@@ -385,6 +627,78 @@ class MasterDashboard extends CCTVClient {
     document.getElementById('zoomValue').textContent = '1.0x';
   }
 
+  async loadRecordingMode(deviceName) {
+    const select = document.getElementById('expandedRecordingMode');
+    select.disabled = true;
+
+    try {
+      const response = await fetch('/api/recording-modes');
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to load recording mode');
+      select.value = data.modes[deviceName] || data.defaultMode;
+      select.disabled = false;
+    } catch (error) {
+      console.error('Error loading recording mode:', error);
+    }
+  }
+
+  // Applies to the device immediately and to its future connections
+  async setRecordingMode(mode) {
+    const streamer = this.streamers.get(this.expandedStreamerId);
+    if (!streamer) return;
+
+    try {
+      const response = await fetch(`/api/recording-modes/${encodeURIComponent(streamer.deviceName)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ mode })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to set recording mode');
+      console.log(`Recording mode for ${streamer.deviceName}: ${data.mode}`);
+    } catch (error) {
+      console.error('Error setting recording mode:', error);
+      alert(`Failed to set recording mode: ${error.message}`);
+      this.loadRecordingMode(streamer.deviceName);
+    }
+  }
+
+  async loadRecordingProfile(deviceName) {
+    const select = document.getElementById('expandedRecordingProfile');
+    select.disabled = true;
+
+    try {
+      const response = await fetch('/api/recording-profiles');
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to load recording profile');
+      select.value = data.profiles[deviceName] || data.defaultProfile;
+      select.disabled = false;
+    } catch (error) {
+      console.error('Error loading recording profile:', error);
+    }
+  }
+
+  async setRecordingProfile(profile) {
+    const streamer = this.streamers.get(this.expandedStreamerId);
+    if (!streamer) return;
+
+    try {
+      const response = await fetch(`/api/recording-profiles/${encodeURIComponent(streamer.deviceName)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ profile })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to set recording profile');
+      console.log(`Recording profile for ${streamer.deviceName}: ${data.profile}`);
+    } catch (error) {
+      console.error('Error setting recording profile:', error);
+      alert(`Failed to set recording profile: ${error.message}`);
+      this.loadRecordingProfile(streamer.deviceName);
+    }
+  }
+
+
   closeExpandedView() {
     this.expandedStreamerId = null;
 
@@ -448,67 +762,325 @@ class MasterDashboard extends CCTVClient {
 
   async showRecordings() {
     document.getElementById('recordingsModal').style.display = 'flex';
-    
+    this.selectAllRecordings(false);
+    await this.loadRecordings(true);
+  }
+
+  // Query string for the recordings API from the modal's filter controls
+  getRecordingsQuery(page) {
+    const params = new URLSearchParams({ page, pageSize: this.recordingsPageSize });
+    const device = document.getElementById('filterDevice').value;
+    const from = document.getElementById('filterFrom').value;
+    const to = document.getElementById('filterTo').value;
+    const minDuration = parseFloat(document.getElementById('filterMinDuration').value);
+    const minSize = parseFloat(document.getElementById('filterMinSize').value);
+    const [sort, order] = document.getElementById('filterSort').value.split(':');
+
+    if (device) params.set('device', device);
+    // datetime-local values are local time; the API expects absolute times
+    if (from) params.set('from', new Date(from).toISOString());
+    if (to) params.set('to', new Date(to).toISOString());
+    if (minDuration > 0) params.set('minDuration', minDuration * 60);
+    if (minSize > 0) params.set('minSize', Math.round(minSize * 1024 * 1024));
+    params.set('sort', sort);
+    params.set('order', order);
+    return params.toString();
+  }
+
+  // Load the first page (reset) or the next page of recordings for infinite scroll
+  async loadRecordings(reset = false) {
+    if (this.recordingsLoading) {
+      if (!reset) return;
+      // Filters changed while a page was loading; reload once it finishes
+      this.recordingsReloadPending = true;
+      return;
+    }
+
+    const list = document.getElementById('recordingsList');
+    const page = reset ? 1 : this.recordingsPage + 1;
+    this.recordingsLoading = true;
+
     try {
-      const response = await fetch('/api/recordings');
+      const response = await fetch(`/api/recordings?${this.getRecordingsQuery(page)}`);
       const data = await response.json();
-      const list = document.getElementById('recordingsList');
-      
-      let statusHtml = '';
-      if (data.enabled === false) {
-        statusHtml = `<div class="recording-status warning">
-          <strong>⚠️ Recording Disabled</strong>
-          <p>FFmpeg is not installed. Install with: <code>brew install ffmpeg</code></p>
-        </div>`;
-      } else if (data.active?.length > 0) {
-        statusHtml = `<div class="recording-status active">
-          <strong>● Recording ${data.active.length} stream(s)</strong>
-        </div>`;
-      } else {
-        statusHtml = `<div class="recording-status" style="background:rgba(16,185,129,0.1);border-color:rgba(16,185,129,0.3);color:#10b981;">
-          <strong>✓ Recording Enabled</strong>
-        </div>`;
+
+      this.recordingsPage = page;
+      this.recordingsHasMore = !!data.hasMore;
+      this.recordingsTotal = data.total || 0;
+
+      if (reset) {
+        this.renderRecordingsStatus(data);
+        this.updateDeviceFilter(data.devices || []);
+        list.innerHTML = '';
       }
-      
-      if (!data.recordings?.length) {
-        list.innerHTML = statusHtml + '<div class="empty-recordings">No recordings found</div>';
+
+      document.getElementById('recordingsSummary').textContent = data.total
+        ? `Showing ${Math.min(page * this.recordingsPageSize, data.total)} of ${data.total} recordings`
+        : '';
+
+      if (reset && !data.recordings?.length) {
+        list.innerHTML = '<div class="empty-recordings">No recordings found</div>';
         return;
       }
 
-      list.innerHTML = statusHtml + data.recordings.map(rec => `
-        <div class="recording-item" data-filename="${this.escapeHtml(rec.name)}">
-          <div class="recording-info">
-            <div class="recording-name">${this.escapeHtml(rec.name)}</div>
-            <div class="recording-meta">
-              <span>${this.formatFileSize(rec.size)}</span>
-              <span>${new Date(rec.modified).toLocaleString()}</span>
-            </div>
-          </div>
-          <div class="recording-actions">
-            <a href="/recordings/${encodeURIComponent(rec.name)}" class="btn btn-sm" target="_blank">Play</a>
-            <a href="/recordings/${encodeURIComponent(rec.name)}" class="btn btn-sm" download>Download</a>
-            <button class="btn btn-sm btn-danger delete-recording" data-filename="${this.escapeHtml(rec.name)}">
-              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="width: 14px; height: 14px;">
-                <polyline points="3 6 5 6 21 6"/>
-                <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
-              </svg>
-              Delete
-            </button>
+      list.insertAdjacentHTML('beforeend', data.recordings.map(rec => this.renderRecordingItem(rec)).join(''));
+      this.updateRecordingsSelection();
+    } catch (error) {
+      console.error('Failed to load recordings:', error);
+      list.innerHTML = '<div class="error">Failed to load recordings</div>';
+    } finally {
+      this.recordingsLoading = false;
+      if (this.recordingsReloadPending) {
+        this.recordingsReloadPending = false;
+        this.loadRecordings(true);
+      }
+    }
+  }
+
+  renderRecordingsStatus(data) {
+    let statusHtml = '';
+    if (data.enabled === false) {
+      statusHtml = `<div class="recording-status warning">
+        <strong>⚠️ Recording Disabled</strong>
+        <p>FFmpeg is not installed. Install with: <code>brew install ffmpeg</code></p>
+      </div>`;
+    } else if (data.active?.length > 0) {
+      statusHtml = `<div class="recording-status active">
+        <strong>● Recording ${data.active.length} stream(s)</strong>
+      </div>`;
+    } else {
+      statusHtml = `<div class="recording-status" style="background:rgba(16,185,129,0.1);border-color:rgba(16,185,129,0.3);color:#10b981;">
+        <strong>✓ Recording Enabled</strong>
+      </div>`;
+    }
+    document.getElementById('recordingsStatus').innerHTML = statusHtml;
+  }
+
+  // Keep the device dropdown in sync with the catalog, preserving the selection
+  updateDeviceFilter(devices) {
+    const select = document.getElementById('filterDevice');
+    const selected = select.value;
+    select.innerHTML = '<option value="">All devices</option>' + devices.map(name =>
+      `<option value="${this.escapeHtml(name)}">${this.escapeHtml(name)}</option>`
+    ).join('');
+    select.value = devices.includes(selected) ? selected : '';
+  }
+
+  // Files FFmpeg didn't finish writing, and whether they have been repaired
+  renderRepairBadge(rec) {
+    if (rec.pendingRepair) {
+      return '<span class="recording-badge" title="Not finalized; waiting to be repaired">Repairing…</span>';
+    }
+    if (rec.repair?.status === 'repaired') {
+      return `<span class="recording-badge" title="Finalized by remuxing on ${new Date(rec.repair.at).toLocaleString()}">Repaired</span>`;
+    }
+    if (rec.repair?.status === 'failed') {
+      return `<span class="recording-badge" title="${this.escapeHtml(rec.repair.error)}">Repair failed</span>`;
+    }
+    return rec.endedCleanly === false ? '<span class="recording-badge">Incomplete</span>' : '';
+  }
+
+  renderRecordingItem(rec) {
+    const selected = this.isRecordingSelected(rec.name);
+    return `
+      <div class="recording-item ${selected ? 'selected' : ''}" data-filename="${this.escapeHtml(rec.name)}">
+        <input type="checkbox" class="recording-select" data-filename="${this.escapeHtml(rec.name)}" ${selected ? 'checked' : ''} title="Select" />
+        ${rec.status !== 'recording' ? `<img class="recording-thumb" loading="lazy" alt=""
+          src="/api/recordings/${encodeURIComponent(rec.name)}/thumbnail"
+          onerror="this.style.visibility='hidden'">` : '<div class="recording-thumb"></div>'}
+        <div class="recording-info">
+          <div class="recording-name">${this.escapeHtml(rec.name)}</div>
+          <div class="recording-meta">
+            <span>${this.formatFileSize(rec.size)}</span>
+            ${rec.duration ? `<span>${this.formatDuration(rec.duration)}</span>` : ''}
+            ${rec.width ? `<span>${rec.width}x${rec.height}</span>` : ''}
+            <span>${new Date(rec.modified).toLocaleString()}</span>
+            ${rec.status === 'recording' ? '<span class="recording-badge live">● Recording</span>' : ''}
+            ${this.renderRepairBadge(rec)}
+            ${rec.locked ? '<span class="recording-badge locked" title="Protected from retention pruning">Locked</span>' : ''}
+            ${rec.encryptionError ? `<span class="recording-badge" title="${this.escapeHtml(rec.encryptionError)}">Not encrypted</span>` : ''}
+            ${rec.timelapseOf ? `<span class="recording-badge" title="1 frame per ${rec.timelapseOf.interval}s">Timelapse</span>` : ''}
+            ${rec.startsOnKeyframe === false ? '<span class="recording-badge" title="The first frames may not decode">No keyframe at start</span>' : ''}
           </div>
         </div>
-      `).join('');
+        <div class="recording-actions">
+          <button class="btn btn-sm play-recording" data-filename="${this.escapeHtml(rec.name)}" data-device="${this.escapeHtml(rec.deviceName)}" data-started="${this.escapeHtml(String(rec.startedAt))}">Play</button>
+          <a href="/recordings/${encodeURIComponent(rec.name)}" class="btn btn-sm" download>Download</a>
+          <button class="btn btn-sm btn-danger delete-recording" data-filename="${this.escapeHtml(rec.name)}">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="width: 14px; height: 14px;">
+              <polyline points="3 6 5 6 21 6"/>
+              <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
+            </svg>
+            Delete
+          </button>
+        </div>
+      </div>
+    `;
+  }
+
+  async showSchedules() {
+    document.getElementById('schedulesModal').style.display = 'flex';
+    document.getElementById('schedulesMessage').textContent = '';
 
-      // Attach delete handlers
-      document.querySelectorAll('.delete-recording').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-          const filename = e.target.closest('.delete-recording').dataset.filename;
-          this.deleteRecording(filename);
+    try {
+      const response = await fetch('/api/schedules');
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to load schedules');
+      this.loadScheduleData(data);
+    } catch (error) {
+      console.error('Error loading schedules:', error);
+      document.getElementById('schedulesEditor').innerHTML =
+        `<div class="error">Failed to load schedules: ${this.escapeHtml(error.message)}</div>`;
+    }
+  }
+
+  hideSchedules() {
+    document.getElementById('schedulesModal').style.display = 'none';
+  }
+
+  // The editor keeps groups as a list so unnamed rows survive re-rendering
+  loadScheduleData(data) {
+    this.schedules = {
+      groups: Object.entries(data.groups || {}).map(([name, devices]) => ({ name, devices })),
+      schedules: data.schedules || []
+    };
+    this.renderScheduleStatus(data.status || []);
+    this.renderSchedules();
+  }
+
+  renderScheduleStatus(status) {
+    document.getElementById('schedulesStatus').innerHTML = status.map(device => {
+      const state = !device.scheduled ? 'no schedule' : device.recordingAllowed ? 'in window' : 'outside window';
+      return `<span class="schedule-device ${device.recordingAllowed ? 'allowed' : ''}">
+        ${this.escapeHtml(device.deviceName)}: ${state}
+      </span>`;
+    }).join('');
+  }
+
+  renderSchedules() {
+    const { groups, schedules } = this.schedules;
+    const list = (values) => this.escapeHtml((values || []).join(', '));
+
+    const scheduleCards = schedules.map((schedule, i) => `
+      <div class="schedule-card" data-id="${this.escapeHtml(schedule.id || '')}">
+        <div class="schedule-row">
+          <input type="text" class="schedule-name" value="${this.escapeHtml(schedule.name || '')}" placeholder="Schedule name" />
+          <label class="schedule-enabled">
+            <input type="checkbox" ${schedule.enabled !== false ? 'checked' : ''} /> Enabled
+          </label>
+          <button class="btn btn-sm btn-danger" data-action="remove-schedule" data-index="${i}">Remove</button>
+        </div>
+        <div class="schedule-row">
+          <input type="text" class="schedule-devices" value="${list(schedule.devices)}" placeholder="Devices, comma separated" />
+          <input type="text" class="schedule-groups" value="${list(schedule.groups)}" placeholder="Groups, comma separated" />
+        </div>
+        ${(schedule.windows || []).map((window, j) => `
+          <div class="schedule-row schedule-window">
+            <div class="schedule-days">
+              ${SCHEDULE_DAYS.map((day, d) => `
+                <label><input type="checkbox" value="${d}" ${window.days.includes(d) ? 'checked' : ''} />${day}</label>
+              `).join('')}
+            </div>
+            <input type="time" class="window-start" value="${this.escapeHtml(window.start)}" />
+            <span>to</span>
+            <input type="time" class="window-end" value="${this.escapeHtml(window.end)}" />
+            <button class="btn btn-sm" data-action="remove-window" data-index="${i}" data-window="${j}" title="Remove window">✕</button>
+          </div>
+        `).join('')}
+        <button class="btn btn-sm" data-action="add-window" data-index="${i}">Add time window</button>
+      </div>
+    `).join('');
+
+    const groupRows = groups.map((group, i) => `
+      <div class="schedule-row group-row">
+        <input type="text" class="group-name" value="${this.escapeHtml(group.name)}" placeholder="Group name" />
+        <input type="text" class="group-devices" value="${list(group.devices)}" placeholder="Devices, comma separated" />
+        <button class="btn btn-sm btn-danger" data-action="remove-group" data-index="${i}">Remove</button>
+      </div>
+    `).join('');
+
+    document.getElementById('schedulesEditor').innerHTML = `
+      <h3 class="schedules-heading">Schedules</h3>
+      ${scheduleCards || '<div class="empty-recordings">No schedules - every device records all the time</div>'}
+      <button class="btn btn-sm" data-action="add-schedule">Add schedule</button>
+      <h3 class="schedules-heading">Device groups</h3>
+      ${groupRows}
+      <button class="btn btn-sm" data-action="add-group">Add group</button>
+    `;
+  }
+
+  // Read the editor back into { groups, schedules }
+  readSchedulesForm() {
+    const editor = document.getElementById('schedulesEditor');
+    const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+    return {
+      groups: Array.from(editor.querySelectorAll('.group-row')).map(row => ({
+        name: row.querySelector('.group-name').value.trim(),
+        devices: splitList(row.querySelector('.group-devices').value)
+      })),
+      schedules: Array.from(editor.querySelectorAll('.schedule-card')).map(card => ({
+        id: card.dataset.id || undefined,
+        name: card.querySelector('.schedule-name').value.trim(),
+        enabled: card.querySelector('.schedule-enabled input').checked,
+        devices: splitList(card.querySelector('.schedule-devices').value),
+        groups: splitList(card.querySelector('.schedule-groups').value),
+        windows: Array.from(card.querySelectorAll('.schedule-window')).map(row => ({
+          days: Array.from(row.querySelectorAll('.schedule-days input:checked')).map(input => parseInt(input.value)),
+          start: row.querySelector('.window-start').value,
+          end: row.querySelector('.window-end').value
+        }))
+      }))
+    };
+  }
+
+  editSchedules(action, index, windowIndex) {
+    this.schedules = this.readSchedulesForm();
+    const { groups, schedules } = this.schedules;
+
+    switch (action) {
+      case 'add-schedule':
+        schedules.push({
+          name: '',
+          enabled: true,
+          devices: [],
+          groups: [],
+          windows: [{ days: [1, 2, 3, 4, 5], start: '08:00', end: '18:00' }]
         });
+        break;
+      case 'remove-schedule': schedules.splice(index, 1); break;
+      case 'add-window': schedules[index].windows.push({ days: [0, 1, 2, 3, 4, 5, 6], start: '00:00', end: '00:00' }); break;
+      case 'remove-window': schedules[index].windows.splice(windowIndex, 1); break;
+      case 'add-group': groups.push({ name: '', devices: [] }); break;
+      case 'remove-group': groups.splice(index, 1); break;
+    }
+
+    this.renderSchedules();
+  }
+
+  async saveSchedules() {
+    const message = document.getElementById('schedulesMessage');
+    const form = this.readSchedulesForm();
+    const body = {
+      groups: Object.fromEntries(form.groups.filter(group => group.name).map(group => [group.name, group.devices])),
+      schedules: form.schedules
+    };
+
+    try {
+      message.textContent = 'Saving...';
+      const response = await fetch('/api/schedules', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
       });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to save schedules');
 
+      this.loadScheduleData(data);
+      message.textContent = '✓ Saved';
     } catch (error) {
-      console.error('Failed to load recordings:', error);
-      document.getElementById('recordingsList').innerHTML = '<div class="error">Failed to load recordings</div>';
+      console.error('Error saving schedules:', error);
+      message.textContent = error.message;
     }
   }
 
@@ -516,6 +1088,210 @@ class MasterDashboard extends CCTVClient {
     document.getElementById('recordingsModal').style.display = 'none';
   }
 
+  async showBookmarks() {
+    document.getElementById('bookmarksModal').style.display = 'flex';
+    await this.loadBookmarks();
+  }
+
+  hideBookmarks() {
+    document.getElementById('bookmarksModal').style.display = 'none';
+  }
+
+  // Reload the bookmarks list shortly, if it is open
+  reloadBookmarks() {
+    if (document.getElementById('bookmarksModal').style.display === 'none') return;
+    clearTimeout(this.bookmarksReloadTimer);
+    this.bookmarksReloadTimer = setTimeout(() => this.loadBookmarks(), 300);
+  }
+
+  async loadBookmarks() {
+    const list = document.getElementById('bookmarksList');
+    const params = new URLSearchParams({ limit: 500 });
+    const q = document.getElementById('bookmarkSearch').value.trim();
+    const device = document.getElementById('bookmarkDevice').value.trim();
+    const from = document.getElementById('bookmarkFrom').value;
+    const to = document.getElementById('bookmarkTo').value;
+
+    if (q) params.set('q', q);
+    if (device) params.set('device', device);
+    // datetime-local values are local time; the API expects absolute times
+    if (from) params.set('from', new Date(from).toISOString());
+    if (to) params.set('to', new Date(to).toISOString());
+
+    try {
+      const response = await fetch(`/api/bookmarks?${params}`);
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to load bookmarks');
+
+      this.bookmarks = new Map(data.bookmarks.map(bookmark => [bookmark.id, bookmark]));
+      list.innerHTML = data.bookmarks.length
+        ? data.bookmarks.map(bookmark => this.renderBookmarkItem(bookmark)).join('')
+        : '<div class="empty-recordings">No bookmarks found</div>';
+    } catch (error) {
+      console.error('Failed to load bookmarks:', error);
+      list.innerHTML = '<div class="error">Failed to load bookmarks</div>';
+    }
+  }
+
+  renderBookmarkItem(bookmark) {
+    const id = this.escapeHtml(bookmark.id);
+    return `
+      <div class="recording-item">
+        ${bookmark.snapshot ? `<img class="recording-thumb" loading="lazy" alt=""
+          src="/api/bookmarks/${encodeURIComponent(bookmark.id)}/snapshot.jpg"
+          onerror="this.style.visibility='hidden'">` : '<div class="recording-thumb"></div>'}
+        <div class="recording-info">
+          <div class="bookmark-note">${this.escapeHtml(bookmark.note)}</div>
+          <div class="recording-meta">
+            <span>${this.escapeHtml(bookmark.deviceName)}</span>
+            <span>${new Date(bookmark.time).toLocaleString()}</span>
+            ${bookmark.recording ? '' : '<span class="recording-badge" title="No recording of this device covers that time">No recording</span>'}
+          </div>
+        </div>
+        <div class="recording-actions">
+          <button class="btn btn-sm" data-action="open" data-id="${id}" ${bookmark.recording ? '' : 'disabled'}>Open</button>
+          <button class="btn btn-sm btn-danger" data-action="delete" data-id="${id}">Delete</button>
+        </div>
+      </div>
+    `;
+  }
+
+  // Play the recording the bookmark points into, from the bookmarked moment
+  openBookmark(id) {
+    const bookmark = this.bookmarks.get(id);
+    if (!bookmark?.recording) return;
+    this.openPlayer(bookmark.recording.name, bookmark.deviceName, {
+      time: bookmark.time,
+      startAt: bookmark.recording.offset,
+      returnTo: 'bookmarks'
+    });
+  }
+
+  async deleteBookmark(id) {
+    const bookmark = this.bookmarks.get(id);
+    if (!bookmark || !confirm(`Delete the bookmark "${bookmark.note}"?`)) return;
+
+    try {
+      const response = await fetch(`/api/bookmarks/${encodeURIComponent(id)}`, { method: 'DELETE' });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to delete bookmark');
+      // The bookmark-removed broadcast reloads the list
+    } catch (error) {
+      console.error('Error deleting bookmark:', error);
+      alert(`Failed to delete bookmark: ${error.message}`);
+    }
+  }
+
+  isRecordingSelected(filename) {
+    const selection = this.recordingsSelection;
+    return selection.all ? !selection.excluded.has(filename) : selection.files.has(filename);
+  }
+
+  setRecordingSelected(filename, selected) {
+    const selection = this.recordingsSelection;
+    const set = selection.all ? selection.excluded : selection.files;
+    if (selected !== selection.all) {
+      set.add(filename);
+    } else {
+      set.delete(filename);
+    }
+    this.updateRecordingsSelection();
+  }
+
+  selectAllRecordings(all) {
+    this.recordingsSelection = { all, files: new Set(), excluded: new Set() };
+    this.updateRecordingsSelection();
+  }
+
+  getSelectedRecordingsCount() {
+    const selection = this.recordingsSelection;
+    return selection.all ? Math.max(0, this.recordingsTotal - selection.excluded.size) : selection.files.size;
+  }
+
+  // Reflect the selection on the checkboxes, the count and the bulk buttons
+  updateRecordingsSelection() {
+    const { all, excluded } = this.recordingsSelection;
+    const count = this.getSelectedRecordingsCount();
+
+    document.querySelectorAll('#recordingsList .recording-item').forEach(item => {
+      const selected = this.isRecordingSelected(item.dataset.filename);
+      item.classList.toggle('selected', selected);
+      item.querySelector('.recording-select').checked = selected;
+    });
+
+    const selectAll = document.getElementById('selectAllRecordings');
+    selectAll.checked = all;
+    selectAll.indeterminate = all && excluded.size > 0;
+    document.getElementById('recordingsSelection').textContent = all
+      ? `${count} of ${this.recordingsTotal} matching recordings selected`
+      : count ? `${count} selected` : '';
+    for (const id of ['bulkDownloadBtn', 'bulkLockBtn', 'bulkUnlockBtn', 'bulkDeleteBtn']) {
+      document.getElementById(id).disabled = count === 0;
+    }
+  }
+
+  // Body for the bulk endpoints: the checked files, or the current filters
+  // when everything matching them is selected
+  getRecordingsSelectionBody() {
+    const { all, files, excluded } = this.recordingsSelection;
+    if (!all) return { files: Array.from(files) };
+
+    const params = new URLSearchParams(this.getRecordingsQuery(1));
+    const filter = {};
+    for (const key of ['device', 'from', 'to', 'minDuration', 'minSize']) {
+      if (params.has(key)) filter[key] = params.get(key);
+    }
+    return { filter, exclude: Array.from(excluded) };
+  }
+
+  // Delete, lock or unlock the selected recordings in one request
+  async bulkRecordingAction(action) {
+    const count = this.getSelectedRecordingsCount();
+    if (action === 'delete' && !confirm(`Are you sure you want to delete ${count} recording(s)?\n\n` +
+      'Locked recordings and recordings in progress are skipped. This action cannot be undone.')) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/recordings/bulk/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(this.getRecordingsSelectionBody())
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `Failed to ${action} recordings`);
+
+      if (action === 'delete') {
+        console.log(`Deleted ${data.deleted.length} recordings`);
+        if (data.skipped.length > 0) {
+          alert(`Deleted ${data.deleted.length} recording(s), skipped ${data.skipped.length}:\n\n` +
+            data.skipped.slice(0, 10).map(skip => `${skip.name}: ${skip.reason}`).join('\n') +
+            (data.skipped.length > 10 ? '\n...' : ''));
+        }
+        this.selectAllRecordings(false);
+      }
+      await this.loadRecordings(true);
+    } catch (error) {
+      console.error(`Error in bulk ${action}:`, error);
+      alert(`Failed to ${action} recordings: ${error.message}`);
+    }
+  }
+
+  // Posted as a form so the browser streams the zip straight to disk
+  downloadSelectedRecordings() {
+    const form = document.createElement('form');
+    form.method = 'POST';
+    form.action = '/api/recordings/bulk/download';
+    const input = document.createElement('input');
+    input.type = 'hidden';
+    input.name = 'selection';
+    input.value = JSON.stringify(this.getRecordingsSelectionBody());
+    form.appendChild(input);
+    document.body.appendChild(form);
+    form.submit();
+    form.remove();
+  }
+
   async deleteRecording(filename) {
     if (!confirm(`Are you sure you want to delete "${filename}"?\n\nThis action cannot be undone.`)) {
       return;
@@ -533,22 +1309,280 @@ class MasterDashboard extends CCTVClient {
       }
 
       console.log('Recording deleted:', filename);
+      this.recordingsSelection.files.delete(filename);
       
       // Refresh the recordings list
-      await this.showRecordings();
-      
-      // Show success message (optional - you could add a toast notification here)
-      const item = document.querySelector(`[data-filename="${this.escapeHtml(filename)}"]`);
-      if (item) {
-        item.style.opacity = '0.5';
-        setTimeout(() => item.remove(), 300);
-      }
+      await this.loadRecordings(true);
     } catch (error) {
       console.error('Error deleting recording:', error);
       alert(`Failed to delete recording: ${error.message}`);
     }
   }
 
+  // Open the player on a recording (time: any time within it; startAt: offset
+  // in seconds), with the device's neighbouring recordings queued in time order
+  // for continuous playback. Closing it goes back to the recordings or
+  // bookmarks list (returnTo).
+  async openPlayer(filename, deviceName, { time, startAt = 0, returnTo = 'recordings' } = {}) {
+    try {
+      // The device's recordings either side of a time within the one opened,
+      // so the playlist is found however much history the device has
+      const around = new Date(time).toISOString();
+      const query = async (params) => {
+        const search = new URLSearchParams({ device: deviceName, sort: 'startedAt', pageSize: 100, ...params });
+        const response = await fetch(`/api/recordings?${search}`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to load recordings');
+        return data.recordings || [];
+      };
+      const [before, after] = await Promise.all([
+        query({ to: around, order: 'desc' }),
+        query({ from: around, order: 'asc' })
+      ]);
+
+      // The device filter matches names containing deviceName; keep this device only
+      const byName = new Map([...before, ...after]
+        .filter(rec => rec.deviceName === deviceName)
+        .map(rec => [rec.name, rec]));
+      const playlist = Array.from(byName.values()).sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt));
+      const index = playlist.findIndex(rec => rec.name === filename);
+
+      if (index === -1) throw new Error('Recording not found');
+
+      this.player = { playlist, index: 0, offset: 0, fps: 30, scrubbing: false, returnTo };
+
+      this.hideRecordings();
+      this.hideBookmarks();
+      document.getElementById('playerBookmarkStatus').textContent = '';
+      if (this.expandedStreamerId) this.closeExpandedView();
+      document.getElementById('videoGrid').style.display = 'none';
+      document.getElementById('playerView').style.display = 'flex';
+      document.getElementById('playerDeviceName').textContent = deviceName;
+
+      this.loadPlayerRecording(index, startAt);
+    } catch (error) {
+      console.error('Failed to open player:', error);
+      alert(`Failed to open recording: ${error.message}`);
+    }
+  }
+
+  closePlayer() {
+    const video = document.getElementById('playerVideo');
+    const returnTo = this.player?.returnTo;
+    video.pause();
+    video.removeAttribute('src');
+    video.load();
+    this.player = null;
+
+    document.getElementById('playerView').style.display = 'none';
+    document.getElementById('videoGrid').style.display = 'grid';
+    if (returnTo === 'bookmarks') {
+      this.showBookmarks();
+    } else {
+      this.showRecordings();
+    }
+  }
+
+  // Load a recording of the playlist, optionally starting at an offset (seconds)
+  loadPlayerRecording(index, startAt = 0) {
+    if (!this.player || index < 0 || index >= this.player.playlist.length) return;
+
+    const rec = this.player.playlist[index];
+    this.player.index = index;
+    this.player.fps = rec.frames && rec.duration ? rec.frames / rec.duration : 30;
+    this.loadPlayerSource(startAt);
+
+    document.getElementById('playerFileName').textContent = rec.name;
+    document.getElementById('playerTimeline').max = rec.duration || 0;
+    document.getElementById('playerDuration').textContent = this.formatDuration(rec.duration || 0);
+    document.getElementById('playerPrevBtn').disabled = index === 0;
+    document.getElementById('playerNextBtn').disabled = index === this.player.playlist.length - 1;
+    this.updatePlayerTime(startAt);
+
+    // Clip marks belong to one recording
+    this.player.markIn = null;
+    this.player.markOut = null;
+    this.updateClipMarks();
+  }
+
+  markClip(which) {
+    if (!this.player) return;
+    const position = this.getPlayerPosition();
+
+    if (which === 'in') {
+      this.player.markIn = position;
+      if (this.player.markOut !== null && this.player.markOut <= position) this.player.markOut = null;
+    } else {
+      this.player.markOut = position;
+      if (this.player.markIn !== null && this.player.markIn >= position) this.player.markIn = null;
+    }
+    this.updateClipMarks();
+  }
+
+  updateClipMarks() {
+    const { markIn, markOut } = this.player;
+    const format = (value) => value === null ? '--' : this.formatDuration(value);
+    document.getElementById('playerClipRange').textContent = `${format(markIn)} → ${format(markOut)}`;
+    document.getElementById('playerExportBtn').disabled = markIn === null || markOut === null;
+  }
+
+  // Ask the operator for a bookmark note; null when cancelled
+  promptBookmarkNote() {
+    const note = prompt('Bookmark note (e.g. "Delivery arrived")');
+    return note && note.trim() ? note.trim() : null;
+  }
+
+  // Bookmark the expanded live camera. The time is taken before the prompt,
+  // so the bookmark marks the click, not the end of typing.
+  addLiveBookmark() {
+    const streamer = this.streamers.get(this.expandedStreamerId);
+    if (!streamer) return;
+
+    const time = new Date();
+    const note = this.promptBookmarkNote();
+    if (!note) return;
+    this.send('add-bookmark', {
+      targetClientId: this.expandedStreamerId,
+      deviceName: streamer.deviceName,
+      time: time.toISOString(),
+      note,
+      snapshot: true
+    });
+  }
+
+  // Bookmark the player's current position
+  addPlayerBookmark() {
+    if (!this.player) return;
+    const rec = this.player.playlist[this.player.index];
+    const time = new Date(new Date(rec.startedAt).getTime() + this.getPlayerPosition() * 1000);
+
+    const note = this.promptBookmarkNote();
+    if (!note) return;
+    this.send('add-bookmark', { deviceName: rec.deviceName, time: time.toISOString(), note, snapshot: true });
+    document.getElementById('playerBookmarkStatus').textContent = `✓ Bookmarked ${time.toLocaleTimeString()}`;
+  }
+
+  // Export the marked range as a new clip and poll the job until it finishes
+  async exportClip() {
+    const rec = this.player.playlist[this.player.index];
+    const status = document.getElementById('playerClipStatus');
+    const exportBtn = document.getElementById('playerExportBtn');
+
+    try {
+      exportBtn.disabled = true;
+      status.textContent = 'Exporting...';
+
+      const response = await fetch(`/api/recordings/${encodeURIComponent(rec.name)}/clips`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ start: this.player.markIn, end: this.player.markOut })
+      });
+      let job = await response.json();
+      if (!response.ok) throw new Error(job.error || 'Failed to export clip');
+
+      while (job.status === 'running') {
+        status.textContent = `Exporting... ${Math.round(job.progress * 100)}%`;
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        const poll = await fetch(`/api/clips/${job.id}`);
+        job = await poll.json();
+        if (!poll.ok) throw new Error(job.error || 'Clip job lost');
+      }
+
+      if (job.status === 'failed') throw new Error(job.error);
+      status.textContent = `✓ Saved ${job.clip}`;
+    } catch (error) {
+      console.error('Clip export failed:', error);
+      status.textContent = `Export failed: ${error.message}`;
+    } finally {
+      if (this.player) this.updateClipMarks();
+    }
+  }
+
+  // The server seeks for us with ?start= when the browser can't (streamed conversions)
+  loadPlayerSource(startAt) {
+    const rec = this.player.playlist[this.player.index];
+    const video = document.getElementById('playerVideo');
+    const params = startAt > 0 ? `?start=${startAt.toFixed(3)}` : '';
+
+    this.player.offset = startAt;
+    video.src = `/api/recordings/${encodeURIComponent(rec.name)}/play${params}`;
+    this.setPlaybackSpeed(parseFloat(document.getElementById('playerSpeed').value));
+    video.play().catch(() => {});
+  }
+
+  // Position within the current recording, in seconds
+  getPlayerPosition() {
+    const video = document.getElementById('playerVideo');
+    return this.player.offset + (video.currentTime || 0);
+  }
+
+  seekPlayer(seconds) {
+    const rec = this.player.playlist[this.player.index];
+    const target = Math.max(0, rec.duration ? Math.min(seconds, rec.duration) : seconds);
+    const video = document.getElementById('playerVideo');
+    const local = target - this.player.offset;
+
+    for (let i = 0; i < video.seekable.length; i++) {
+      if (local >= video.seekable.start(i) && local <= video.seekable.end(i)) {
+        video.currentTime = local;
+        return;
+      }
+    }
+
+    const wasPaused = video.paused;
+    this.loadPlayerSource(target);
+    if (wasPaused) video.pause();
+  }
+
+  stepFrame(direction) {
+    const video = document.getElementById('playerVideo');
+    video.pause();
+    this.seekPlayer(this.getPlayerPosition() + direction / this.player.fps);
+  }
+
+  setPlaybackSpeed(speed) {
+    const video = document.getElementById('playerVideo');
+    try {
+      video.defaultPlaybackRate = speed;
+      video.playbackRate = speed;
+    } catch (e) {
+      console.warn(`Playback speed ${speed}x not supported by this browser`);
+    }
+  }
+
+  // Open the recording covering a wall-clock time, or the next one after it
+  jumpToWallClock(date) {
+    if (!this.player) return;
+
+    const time = date.getTime();
+    const { playlist } = this.player;
+    let index = playlist.findIndex(rec => {
+      const start = new Date(rec.startedAt).getTime();
+      return time >= start && time <= start + (rec.duration || 0) * 1000;
+    });
+    if (index === -1) index = playlist.findIndex(rec => new Date(rec.startedAt).getTime() > time);
+    if (index === -1) {
+      alert('No recording of this device at or after that time');
+      return;
+    }
+
+    const offset = Math.max(0, (time - new Date(playlist[index].startedAt).getTime()) / 1000);
+    this.loadPlayerRecording(index, offset);
+  }
+
+  updatePlayerTime(position) {
+    const rec = this.player.playlist[this.player.index];
+    const timeline = document.getElementById('playerTimeline');
+
+    // Recordings still being written grow while we watch
+    if (position > parseFloat(timeline.max)) timeline.max = position;
+    if (!this.player.scrubbing) timeline.value = position;
+
+    document.getElementById('playerPosition').textContent = this.formatDuration(position);
+    document.getElementById('playerWallClock').textContent =
+      new Date(new Date(rec.startedAt).getTime() + position * 1000).toLocaleString();
+  }
+
   formatFileSize(bytes) {
     if (!bytes) return '0 B';
     const k = 1024;
@@ -557,11 +1591,22 @@ class MasterDashboard extends CCTVClient {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
   }
 
+  formatDuration(seconds) {
+    const total = Math.round(seconds);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = total % 60;
+    const pad = (n) => String(n).padStart(2, '0');
+    return h > 0 ? `${h}:${pad(m)}:${pad(s)}` : `${m}:${pad(s)}`;
+  }
+
+  // Escape text for element content and quoted attribute values
+  // (innerHTML leaves quotes alone, which would end an attribute early)
   escapeHtml(text) {
     if (!text) return '';
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
   }
 }
 
@@ -0,0 +1,8 @@
+// Rebuild the recording catalog from the files in the recordings directory.
+// Run with the server stopped: node scripts/rebuild-catalog.js
+const { rebuildCatalog } = require('../server/catalog');
+
+rebuildCatalog().then(() => process.exit(0), (error) => {
+  console.error('Catalog rebuild failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,136 @@
+// Manage encryption at rest for recordings (recording.encryption in config.js).
+// Uses the same keys as the server, from config.js or the environment.
+//
+//   node scripts/recording-keys.js generate   Print a new random key
+//   node scripts/recording-keys.js status     Count files per key; with encryption enabled, list
+//                                             unencrypted recordings (and exit with 1 if there are any)
+//   node scripts/recording-keys.js encrypt    Encrypt every unencrypted file with the current key
+//   node scripts/recording-keys.js rotate     Re-encrypt files using a previous key with the current key
+//   node scripts/recording-keys.js decrypt    Decrypt every file (before turning encryption off)
+//
+// Rotating a key: make the new key recording.encryption.key, move the old one
+// to previousKeys, restart the server, run `rotate`, then drop the old key.
+// Files still being recorded are skipped; they are encrypted when they finish.
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const config = require('../server/config');
+const catalog = require('../server/catalog');
+const encryption = require('../server/encryption');
+
+const VIDEO_FILE = /\.(mp4|webm|mkv)$/i;
+
+// Recordings plus the files derived from them: thumbnails, playback cache
+// and bookmark snapshots
+function listFiles() {
+  const recordingsDir = path.resolve(config.recording.directory);
+  const files = [];
+  const add = (dir, pattern) => {
+    if (!fs.existsSync(dir)) return;
+    for (const name of fs.readdirSync(dir)) {
+      if (pattern.test(name) && !name.includes('.tmp')) files.push(path.join(dir, name));
+    }
+  };
+
+  add(recordingsDir, VIDEO_FILE);
+  add(path.join(recordingsDir, 'thumbnails'), /\.jpg$/i);
+  add(path.join(recordingsDir, 'playback'), VIDEO_FILE);
+  add(path.join(recordingsDir, 'bookmarks'), /\.jpg$/i);
+
+  return files.filter(file => catalog.getEntry(path.basename(file))?.status !== 'recording');
+}
+
+async function processFiles(label, action) {
+  let changed = 0;
+  let failed = 0;
+
+  for (const file of listFiles()) {
+    try {
+      if (await action(file)) {
+        changed++;
+        console.log(`${label}: ${path.basename(file)}`);
+      }
+    } catch (error) {
+      failed++;
+      console.error(`Failed: ${path.basename(file)}: ${error.message}`);
+    }
+  }
+
+  console.log(`${label} ${changed} files${failed ? `, ${failed} failed` : ''}`);
+  return failed === 0;
+}
+
+function status() {
+  const { current, all } = encryption.getKeys();
+  const counts = new Map();
+  const unencrypted = [];
+
+  for (const file of listFiles()) {
+    let key;
+    try {
+      key = encryption.readHeader(file)?.keyId || 'unencrypted';
+    } catch (error) {
+      key = `unreadable (${error.message})`;
+    }
+    counts.set(key, (counts.get(key) || 0) + 1);
+    if (key === 'unencrypted' && VIDEO_FILE.test(file) && path.dirname(file) === path.resolve(config.recording.directory)) {
+      unencrypted.push(path.basename(file));
+    }
+  }
+
+  console.log(`Encryption ${encryption.isEnabled() ? 'enabled' : 'disabled'}; current key: ${current ? current.id.toString('hex') : 'none'}`);
+  for (const [key, count] of counts) {
+    const note = key === current?.id.toString('hex') ? ' (current)'
+      : all.has(key) ? ' (previous)'
+      : key === 'unencrypted' ? '' : ' (no key configured!)';
+    console.log(`  ${key}${note}: ${count} files`);
+  }
+
+  // The server encrypts these on its next start; run `encrypt` to do it now
+  if (encryption.isEnabled() && unencrypted.length > 0) {
+    console.log(`\n⚠️  ${unencrypted.length} recordings are not encrypted:`);
+    for (const name of unencrypted) {
+      const entry = catalog.getEntry(name);
+      const reason = entry?.encryptionError ? `failed: ${entry.encryptionError}`
+        : entry?.pendingRepair ? 'waiting to be repaired' : 'not encrypted yet';
+      console.log(`  ${name} (${reason})`);
+    }
+    return false;
+  }
+  return true;
+}
+
+function requireCurrentKey() {
+  if (!encryption.getKeys().current) {
+    throw new Error('No key configured (recording.encryption.key or RECORDING_ENCRYPTION_KEY)');
+  }
+}
+
+const COMMANDS = {
+  generate: async () => {
+    console.log(crypto.randomBytes(32).toString('base64'));
+    return true;
+  },
+  status: async () => status(),
+  encrypt: async () => {
+    requireCurrentKey();
+    // Also works before recording.encryption.enabled is switched on
+    return processFiles('Encrypted', (file) => encryption.encryptFile(file, { force: true }));
+  },
+  rotate: async () => {
+    requireCurrentKey();
+    return processFiles('Re-encrypted', encryption.rotateFile);
+  },
+  decrypt: async () => processFiles('Decrypted', encryption.decryptFile)
+};
+
+const command = COMMANDS[process.argv[2]];
+if (!command) {
+  console.error(`Usage: node scripts/recording-keys.js <${Object.keys(COMMANDS).join('|')}>`);
+  process.exit(1);
+}
+
+command().then((ok) => process.exit(ok ? 0 : 1), (error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,139 @@
+// Check an export bundle offline: node scripts/verify-export.js <bundle.tar> [trusted-public-key.pem]
+//
+// Verifies the signature of manifest.json, that every recording in the bundle
+// has the size and SHA-256 listed in the manifest, and that nothing is missing
+// or was added. Uses only Node.js itself, so this file can be handed to the
+// recipient of a bundle together with the server's public key or fingerprint
+// (GET /api/exports/public-key). Without a trusted key the bundle's own
+// public-key.pem is used, which only proves the bundle is internally consistent.
+const fs = require('fs');
+const crypto = require('crypto');
+
+const BLOCK_SIZE = 512;
+
+function readString(block, offset, length) {
+  const end = block.indexOf(0, offset);
+  return block.toString('utf8', offset, end === -1 || end > offset + length ? offset + length : end);
+}
+
+function readSize(block) {
+  if (block[124] & 0x80) return Number(block.readBigUInt64BE(128));
+  return parseInt(readString(block, 124, 12).trim() || '0', 8);
+}
+
+// Every regular file in the tar: name -> { size, sha256, content (small files only) }
+async function readBundle(bundlePath) {
+  const files = new Map();
+  const handle = await fs.promises.open(bundlePath, 'r');
+  try {
+    const block = Buffer.alloc(BLOCK_SIZE);
+    const buffer = Buffer.alloc(1024 * 1024);
+    let position = 0;
+
+    for (;;) {
+      const { bytesRead } = await handle.read(block, 0, BLOCK_SIZE, position);
+      if (bytesRead < BLOCK_SIZE) throw new Error('Bundle is truncated');
+      if (block.every(byte => byte === 0)) break;
+      position += BLOCK_SIZE;
+
+      const prefix = readString(block, 345, 155);
+      const name = (prefix ? `${prefix}/` : '') + readString(block, 0, 100);
+      const size = readSize(block);
+      const type = String.fromCharCode(block[156] || 0x30);
+
+      const hash = crypto.createHash('sha256');
+      const keep = size <= 1024 * 1024;
+      const parts = [];
+      for (let remaining = size; remaining > 0;) {
+        const length = Math.min(buffer.length, remaining);
+        const { bytesRead: read } = await handle.read(buffer, 0, length, position + size - remaining);
+        if (read < length) throw new Error(`Bundle is truncated in ${name}`);
+        hash.update(buffer.subarray(0, read));
+        if (keep) parts.push(Buffer.from(buffer.subarray(0, read)));
+        remaining -= read;
+      }
+      position += Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+
+      if (type !== '0') continue;
+      if (files.has(name)) throw new Error(`Bundle contains ${name} twice`);
+      files.set(name, { size, sha256: hash.digest('hex'), content: keep ? Buffer.concat(parts) : null });
+    }
+  } finally {
+    await handle.close();
+  }
+  return files;
+}
+
+function fingerprint(publicKey) {
+  return crypto.createHash('sha256').update(publicKey.export({ type: 'spki', format: 'der' })).digest('hex');
+}
+
+async function verify(bundlePath, trustedKeyPath) {
+  const files = await readBundle(bundlePath);
+  const problems = [];
+
+  const manifestFile = files.get('manifest.json');
+  const signatureFile = files.get('manifest.sig');
+  const keyFile = files.get('public-key.pem');
+  if (!manifestFile || !signatureFile || !keyFile) {
+    throw new Error('Not an export bundle: manifest.json, manifest.sig or public-key.pem is missing');
+  }
+
+  const manifest = JSON.parse(manifestFile.content.toString('utf8'));
+  const publicKey = crypto.createPublicKey(trustedKeyPath ? fs.readFileSync(trustedKeyPath) : keyFile.content);
+  const keyFingerprint = fingerprint(publicKey);
+
+  const signature = Buffer.from(signatureFile.content.toString('utf8').trim(), 'base64');
+  if (!crypto.verify(null, manifestFile.content, publicKey, signature)) {
+    problems.push('Signature of manifest.json is INVALID');
+  }
+  if (manifest.server?.publicKeyFingerprint !== keyFingerprint) {
+    problems.push(`Manifest names signing key ${manifest.server?.publicKeyFingerprint}, not ${keyFingerprint}`);
+  }
+
+  console.log(`Bundle:    ${bundlePath}`);
+  console.log(`Created:   ${manifest.createdAt}`);
+  console.log(`Server:    ${manifest.server?.name} (${manifest.server?.software})`);
+  console.log(`Key:       ${keyFingerprint}${trustedKeyPath ? ' (trusted key)' : ' (key in bundle, compare with the server)'}`);
+  if (manifest.note) console.log(`Note:      ${manifest.note}`);
+  console.log('');
+
+  const listed = new Set();
+  for (const recording of manifest.recordings || []) {
+    listed.add(recording.path);
+    const file = files.get(recording.path);
+    let result = 'OK';
+    if (!file) {
+      result = 'MISSING';
+    } else if (file.size !== recording.size || file.sha256 !== recording.sha256) {
+      result = 'HASH MISMATCH';
+    }
+    if (result !== 'OK') problems.push(`${recording.path}: ${result}`);
+    console.log(`${result.padEnd(13)} ${recording.path}  ${recording.deviceName}  ${recording.startedAt} - ${recording.endedAt}` +
+      `  (hashed ${recording.hashedWhen === 'exported' ? 'at export' : 'when recorded'})`);
+  }
+  for (const name of files.keys()) {
+    if (!listed.has(name) && !['manifest.json', 'manifest.sig', 'public-key.pem'].includes(name)) {
+      problems.push(`${name}: not listed in the manifest`);
+    }
+  }
+
+  console.log('');
+  if (problems.length > 0) {
+    problems.forEach(problem => console.error(`❌ ${problem}`));
+    return false;
+  }
+  console.log(`✓ Bundle verified: ${listed.size} recordings, signature valid`);
+  return true;
+}
+
+const [bundlePath, trustedKeyPath] = process.argv.slice(2);
+if (!bundlePath) {
+  console.error('Usage: node scripts/verify-export.js <bundle.tar> [trusted-public-key.pem]');
+  process.exit(1);
+}
+
+verify(bundlePath, trustedKeyPath).then((ok) => process.exit(ok ? 0 : 1), (error) => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
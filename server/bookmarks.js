@@ -0,0 +1,296 @@
+const path = require('path');
+const fs = require('fs');
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const config = require('./config');
+const catalog = require('./catalog');
+const encryption = require('./encryption');
+const { runFfmpeg } = require('./ffmpeg');
+
+// Operator bookmarks: a note on a device at a wall-clock time, keyed by id.
+// Persisted as JSON lines next to the recording catalog: every change appends
+// the full bookmark, removals append { id, removed: true }. The recording a
+// bookmark points into is looked up when bookmarks are listed, so bookmarks
+// outlive pruned recordings and pick up recordings rebuilt into the catalog.
+const bookmarks = new Map();
+let loaded = false;
+
+// Emits 'bookmark-added', 'bookmark-updated' and 'bookmark-removed' with the bookmark
+const emitter = new EventEmitter();
+
+const MAX_NOTE_LENGTH = 1000;
+
+// Bookmarks this close to now are snapshotted from the live camera
+const LIVE_WINDOW_MS = 10 * 1000;
+
+class BookmarkError extends Error {}
+
+function getBookmarksPath() {
+  return path.join(path.resolve(config.recording.directory), 'bookmarks.jsonl');
+}
+
+function getSnapshotsDir() {
+  return path.join(path.resolve(config.recording.directory), 'bookmarks');
+}
+
+function getSnapshotPath(id) {
+  return path.join(getSnapshotsDir(), `${id}.jpg`);
+}
+
+function load() {
+  if (loaded) return;
+  loaded = true;
+
+  const bookmarksPath = getBookmarksPath();
+  if (!fs.existsSync(bookmarksPath)) return;
+
+  const lines = fs.readFileSync(bookmarksPath, 'utf8').split('\n');
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      const record = JSON.parse(line);
+      if (record.removed) {
+        bookmarks.delete(record.id);
+      } else {
+        bookmarks.set(record.id, record);
+      }
+    } catch (e) {
+      console.warn(`Bookmarks: skipping unreadable line in ${bookmarksPath}`);
+    }
+  }
+}
+
+function append(record) {
+  const recordingsDir = path.resolve(config.recording.directory);
+  if (!fs.existsSync(recordingsDir)) {
+    fs.mkdirSync(recordingsDir, { recursive: true });
+  }
+
+  try {
+    fs.appendFileSync(getBookmarksPath(), JSON.stringify(record) + '\n');
+  } catch (error) {
+    console.error('Bookmarks: failed to write bookmark:', error.message);
+  }
+}
+
+// Rewrite the file with one line per bookmark
+function compactBookmarks() {
+  load();
+
+  const bookmarksPath = getBookmarksPath();
+  if (!fs.existsSync(bookmarksPath)) return;
+
+  const tmpPath = `${bookmarksPath}.tmp`;
+  fs.writeFileSync(tmpPath, Array.from(bookmarks.values()).map(b => JSON.stringify(b) + '\n').join(''));
+  fs.renameSync(tmpPath, bookmarksPath);
+}
+
+function parseNote(note) {
+  if (typeof note !== 'string' || !note.trim()) {
+    throw new BookmarkError('note is required');
+  }
+  if (note.length > MAX_NOTE_LENGTH) {
+    throw new BookmarkError(`note must be at most ${MAX_NOTE_LENGTH} characters`);
+  }
+  return note.trim();
+}
+
+function parseTime(time) {
+  if (time === undefined || time === null || time === '') return new Date();
+  const date = new Date(time);
+  if (isNaN(date.getTime())) {
+    throw new BookmarkError('time must be an ISO date');
+  }
+  if (date.getTime() > Date.now() + 60 * 1000) {
+    throw new BookmarkError('time must not be in the future');
+  }
+  return date;
+}
+
+// The streaming client of a device, by id or by name
+function findLiveDevice({ deviceId, deviceName }) {
+  const { streamers } = require('./websocket');
+  if (deviceId && streamers.has(deviceId)) {
+    return { deviceId, deviceName: streamers.get(deviceId).deviceName };
+  }
+  for (const [id, streamer] of streamers) {
+    if (streamer.deviceName === deviceName) return { deviceId: id, deviceName };
+  }
+  return null;
+}
+
+// The recording of a device covering a time, with the offset into it.
+// Original recordings are preferred over clips; timelapses don't count.
+function findRecording(deviceName, time, entries = catalog.listEntries()) {
+  const target = new Date(time).getTime();
+  const matches = entries.filter(entry => {
+    if (entry.deviceName !== deviceName || entry.timelapseOf) return false;
+    const start = new Date(entry.startedAt).getTime();
+    const end = entry.endedAt ? new Date(entry.endedAt).getTime() : (entry.status === 'recording' ? Date.now() : start);
+    return target >= start && target <= end;
+  });
+  if (matches.length === 0) return null;
+
+  matches.sort((a, b) => (a.clipOf ? 1 : 0) - (b.clipOf ? 1 : 0));
+  const entry = matches[0];
+  return { name: entry.name, offset: (target - new Date(entry.startedAt).getTime()) / 1000 };
+}
+
+// Create a bookmark: { device (name) or deviceId, time (default now), note,
+// snapshot }. With snapshot, a picture is taken in the background (from the
+// live camera, or from the recording for past times) and the bookmark is
+// updated once it is saved.
+function addBookmark({ device, deviceId, time, note, snapshot = false } = {}) {
+  load();
+
+  const live = findLiveDevice({ deviceId, deviceName: device });
+  const deviceName = device || live?.deviceName;
+  if (!deviceName || typeof deviceName !== 'string') {
+    throw new BookmarkError('device (name) or the deviceId of a connected device is required');
+  }
+
+  const bookmark = {
+    id: uuidv4(),
+    deviceName,
+    deviceId: live?.deviceId || deviceId || null,
+    time: parseTime(time),
+    note: parseNote(note),
+    snapshot: false,
+    createdAt: new Date(),
+    updatedAt: null
+  };
+  bookmarks.set(bookmark.id, bookmark);
+  append(bookmark);
+  emitter.emit('bookmark-added', withRecording(bookmark));
+  console.log(`Bookmark on ${deviceName} at ${bookmark.time.toISOString()}: ${bookmark.note}`);
+
+  if (snapshot) {
+    captureSnapshot(bookmark, live).catch((error) => {
+      console.warn(`⚠️  No snapshot for bookmark ${bookmark.id}: ${error.message}`);
+    });
+  }
+  return withRecording(bookmark);
+}
+
+async function captureSnapshot(bookmark, live) {
+  const snapshotPath = getSnapshotPath(bookmark.id);
+  const tmpPath = `${snapshotPath}.tmp`;
+  fs.mkdirSync(getSnapshotsDir(), { recursive: true });
+
+  try {
+    if (live && Math.abs(Date.now() - new Date(bookmark.time).getTime()) <= LIVE_WINDOW_MS) {
+      const { image } = await require('./snapshots').getSnapshot(live.deviceId, { width: 640 });
+      fs.writeFileSync(tmpPath, image);
+    } else {
+      const recording = findRecording(bookmark.deviceName, bookmark.time);
+      if (!recording) throw new Error('no live video or recording at that time');
+      await runFfmpeg([
+        '-y',
+        '-ss', String(recording.offset),
+        '-i', await encryption.inputPath(path.join(path.resolve(config.recording.directory), recording.name)),
+        '-frames:v', '1',
+        '-vf', 'scale=640:-2',
+        '-q:v', '4',
+        '-f', 'image2',
+        tmpPath
+      ]);
+    }
+
+    // A picture from the recording, so encrypted at rest like it
+    await encryption.encryptFile(tmpPath);
+    fs.renameSync(tmpPath, snapshotPath);
+  } finally {
+    try { if (fs.existsSync(tmpPath)) fs.unlinkSync(tmpPath); } catch (e) {}
+  }
+
+  // Removed while the picture was being taken
+  if (!bookmarks.has(bookmark.id)) {
+    try { fs.unlinkSync(snapshotPath); } catch (e) {}
+    return;
+  }
+  updateBookmark(bookmark.id, { snapshot: true }, { touch: false });
+}
+
+// Change a bookmark's note or time
+function updateBookmark(id, changes = {}, { touch = true } = {}) {
+  load();
+  const bookmark = bookmarks.get(id);
+  if (!bookmark) return null;
+
+  const updated = { ...bookmark };
+  if (changes.note !== undefined) updated.note = parseNote(changes.note);
+  if (changes.time !== undefined) updated.time = parseTime(changes.time);
+  if (changes.snapshot !== undefined) updated.snapshot = !!changes.snapshot;
+  if (touch) updated.updatedAt = new Date();
+
+  bookmarks.set(id, updated);
+  append(updated);
+  emitter.emit('bookmark-updated', withRecording(updated));
+  return withRecording(updated);
+}
+
+function removeBookmark(id) {
+  load();
+  const bookmark = bookmarks.get(id);
+  if (!bookmark) return false;
+
+  bookmarks.delete(id);
+  append({ id, removed: true });
+  try { fs.unlinkSync(getSnapshotPath(id)); } catch (e) {}
+  emitter.emit('bookmark-removed', { id, deviceName: bookmark.deviceName });
+  return true;
+}
+
+// A bookmark with the recording (and offset in seconds) it points into, if any
+function withRecording(bookmark, entries) {
+  return { ...bookmark, recording: findRecording(bookmark.deviceName, bookmark.time, entries) };
+}
+
+function getBookmark(id) {
+  load();
+  const bookmark = bookmarks.get(id);
+  return bookmark ? withRecording(bookmark) : null;
+}
+
+// Path of a bookmark's snapshot, null if it has none
+function getBookmarkSnapshot(id) {
+  load();
+  return bookmarks.get(id)?.snapshot ? getSnapshotPath(id) : null;
+}
+
+// Bookmarks newest first, filtered by device, time range and text in the
+// note or device name
+function queryBookmarks({ device, from, to, q, limit = 100 } = {}) {
+  load();
+
+  const fromTime = from ? new Date(from).getTime() : null;
+  const toTime = to ? new Date(to).getTime() : null;
+  const deviceFilter = device ? device.toLowerCase() : null;
+  const search = q ? q.toLowerCase() : null;
+  const entries = catalog.listEntries();
+
+  return Array.from(bookmarks.values())
+    .filter(bookmark => {
+      const time = new Date(bookmark.time).getTime();
+      if (deviceFilter && !bookmark.deviceName.toLowerCase().includes(deviceFilter)) return false;
+      if (fromTime && time < fromTime) return false;
+      if (toTime && time > toTime) return false;
+      if (search && !`${bookmark.note} ${bookmark.deviceName}`.toLowerCase().includes(search)) return false;
+      return true;
+    })
+    .sort((a, b) => new Date(b.time) - new Date(a.time))
+    .slice(0, Math.max(1, limit))
+    .map(bookmark => withRecording(bookmark, entries));
+}
+
+module.exports = {
+  addBookmark,
+  updateBookmark,
+  removeBookmark,
+  getBookmark,
+  getBookmarkSnapshot,
+  queryBookmarks,
+  compactBookmarks,
+  emitter,
+  BookmarkError
+};
@@ -0,0 +1,267 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const config = require('./config');
+const catalog = require('./catalog');
+const storage = require('./storage');
+const encryption = require('./encryption');
+const integrity = require('./integrity');
+
+// Export bundle jobs, keyed by job id. A bundle is a tar file with the
+// selected recordings under recordings/, a manifest.json describing them
+// (SHA-256, device, times, server identity), manifest.sig (the server's
+// Ed25519 signature of manifest.json) and public-key.pem. Check one with
+// scripts/verify-export.js. Bundles are deleted after exports.keepHours.
+const jobs = new Map();
+
+const BLOCK_SIZE = 512;
+
+class BundleError extends Error {}
+
+function getKeepMs() {
+  return (config.exports?.keepHours || 24) * 60 * 60 * 1000;
+}
+
+function getBundlesDir() {
+  return path.join(storage.getRecordingsDir(), 'exports');
+}
+
+function getBundlePath(job) {
+  return path.join(getBundlesDir(), `${job.id}.tar`);
+}
+
+// Tar (ustar) header for a regular file. Sizes of 8 GiB and up use the
+// base-256 extension GNU tar and bsdtar read.
+function tarHeader(name, size, mtime) {
+  const header = Buffer.alloc(BLOCK_SIZE);
+  const slash = name.lastIndexOf('/');
+  const prefix = slash > 0 ? name.slice(0, slash) : '';
+  const base = slash > 0 ? name.slice(slash + 1) : name;
+  if (Buffer.byteLength(base) > 100 || Buffer.byteLength(prefix) > 155) {
+    throw new BundleError(`Name too long for a tar bundle: ${name}`);
+  }
+
+  const octal = (value, length) => value.toString(8).padStart(length - 1, '0') + '\0';
+  header.write(base, 0, 100);
+  header.write(octal(0o644, 8), 100);
+  header.write(octal(0, 8), 108);
+  header.write(octal(0, 8), 116);
+  if (size < 8 ** 11) {
+    header.write(octal(size, 12), 124);
+  } else {
+    header[124] = 0x80;
+    header.writeBigUInt64BE(BigInt(size), 128);
+  }
+  header.write(octal(Math.floor(mtime.getTime() / 1000), 12), 136);
+  header.write('        ', 148);
+  header.write('0', 156);
+  header.write('ustar\0', 257);
+  header.write('00', 263);
+  header.write(prefix, 345, 155);
+
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148);
+  return header;
+}
+
+function padding(size) {
+  return Buffer.alloc((BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE);
+}
+
+// Start building a bundle of recordings: { files: [filename, ...], note }.
+// The note (e.g. a case or claim number) is included in the signed manifest.
+function createBundle({ files, note } = {}) {
+  if (!Array.isArray(files) || files.length === 0) {
+    throw new BundleError('files must be a non-empty list of recording filenames');
+  }
+  if (note !== undefined && note !== null && typeof note !== 'string') {
+    throw new BundleError('note must be a string');
+  }
+
+  const names = Array.from(new Set(files));
+  for (const name of names) {
+    if (!storage.isValidFilename(name) || !storage.recordingExists(name)) {
+      throw new BundleError(`Recording not found: ${name}`);
+    }
+    const entry = catalog.getEntry(name);
+    if (!entry) {
+      throw new BundleError(`Recording is not in the catalog: ${name}`);
+    }
+    if (entry.status === 'recording') {
+      throw new BundleError(`Recording is still in progress: ${name}`);
+    }
+  }
+
+  const createdAt = new Date();
+  const job = {
+    id: uuidv4(),
+    files: names,
+    note: note || null,
+    bundle: `export_${createdAt.toISOString().replace(/[:.]/g, '-')}.tar`,
+    status: 'running',
+    progress: 0,
+    size: null,
+    error: null,
+    createdAt,
+    finishedAt: null
+  };
+  jobs.set(job.id, job);
+
+  runBundleJob(job).catch(() => {});
+  return job;
+}
+
+async function runBundleJob(job) {
+  const bundlePath = getBundlePath(job);
+  const tmpPath = `${bundlePath}.tmp`;
+  let output = null;
+
+  console.log(`Exporting bundle ${job.bundle} (${job.files.length} recordings)`);
+
+  try {
+    fs.mkdirSync(getBundlesDir(), { recursive: true });
+    output = await fs.promises.open(tmpPath, 'w', 0o600);
+
+    const totalBytes = job.files.reduce((sum, name) => sum + encryption.getPlainSize(storage.getRecordingPath(name)), 0);
+    let writtenBytes = 0;
+    const recordings = [];
+
+    for (const name of job.files) {
+      const filepath = storage.getRecordingPath(name);
+      const entry = catalog.getEntry(name) || {};
+      const size = encryption.getPlainSize(filepath);
+      const recorded = integrity.getHash(name);
+
+      await output.write(tarHeader(`recordings/${name}`, size, fs.statSync(filepath).mtime));
+
+      const copied = await copyHashed(filepath, output, (bytes) => {
+        writtenBytes += bytes;
+        job.progress = totalBytes ? writtenBytes / totalBytes : 0;
+      });
+      if (copied.size !== size) {
+        throw new BundleError(`${name} changed size while it was being exported`);
+      }
+      await output.write(padding(size));
+
+      const { sha256 } = copied;
+      if (recorded && recorded.sha256 !== sha256) {
+        throw new BundleError(`${name} no longer matches the SHA-256 taken at ` +
+          `${new Date(recorded.hashedAt).toISOString()}; it may have been altered`);
+      }
+      // Recordings from before hashing existed are hashed now, and marked so
+      const hash = recorded || integrity.recordHash(name, { sha256, size });
+
+      recordings.push({
+        path: `recordings/${name}`,
+        name,
+        deviceName: entry.deviceName || null,
+        startedAt: entry.startedAt || null,
+        endedAt: entry.endedAt || null,
+        duration: entry.duration ?? null,
+        size,
+        sha256,
+        hashedAt: hash.hashedAt,
+        hashedWhen: recorded ? 'finalized' : 'exported',
+        endedCleanly: entry.endedCleanly ?? null,
+        ...(entry.clipOf ? { clipOf: entry.clipOf } : {}),
+        ...(entry.timelapseOf ? { timelapseOf: { from: entry.timelapseOf.from, to: entry.timelapseOf.to } } : {})
+      });
+    }
+
+    const manifest = Buffer.from(JSON.stringify({
+      format: 'lan-cctv-export',
+      version: 1,
+      id: job.id,
+      createdAt: job.createdAt,
+      note: job.note,
+      server: integrity.getServerIdentity(),
+      recordings
+    }, null, 2) + '\n');
+    const signature = Buffer.from(integrity.sign(manifest) + '\n');
+    const publicKey = Buffer.from(integrity.getSigningKey().publicKeyPem);
+
+    for (const [name, content] of [['manifest.json', manifest], ['manifest.sig', signature], ['public-key.pem', publicKey]]) {
+      await output.write(tarHeader(name, content.length, job.createdAt));
+      await output.write(content);
+      await output.write(padding(content.length));
+    }
+    // End of archive: two empty blocks
+    await output.write(Buffer.alloc(BLOCK_SIZE * 2));
+    await output.close();
+    output = null;
+
+    // Waiting for download in the recordings directory: encrypted at rest
+    // like everything else there, decrypted when it is downloaded
+    await encryption.encryptFile(tmpPath);
+    fs.renameSync(tmpPath, bundlePath);
+
+    job.size = encryption.getPlainSize(bundlePath);
+    job.status = 'done';
+    job.progress = 1;
+    console.log(`✓ Export bundle ready: ${job.bundle}`);
+  } catch (error) {
+    job.status = 'failed';
+    job.error = error.message;
+    console.error(`Export bundle failed for ${job.bundle}: ${error.message}`);
+    if (output) await output.close().catch(() => {});
+    try { if (fs.existsSync(tmpPath)) fs.unlinkSync(tmpPath); } catch (e) {}
+  } finally {
+    job.finishedAt = new Date();
+    setTimeout(() => removeBundle(job.id), getKeepMs()).unref();
+  }
+}
+
+// Copy a recording's content (decrypted) into the bundle, hashing it on the way
+async function copyHashed(filepath, output, onProgress) {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  for await (const chunk of encryption.createReadStream(filepath)) {
+    hash.update(chunk);
+    await output.write(chunk);
+    size += chunk.length;
+    onProgress(chunk.length);
+  }
+  return { sha256: hash.digest('hex'), size };
+}
+
+function removeBundle(id) {
+  const job = jobs.get(id);
+  if (!job) return;
+  jobs.delete(id);
+  try { fs.unlinkSync(getBundlePath(job)); } catch (e) {}
+}
+
+// Bundles of a previous run can't be downloaded any more (their jobs are gone)
+function removeStaleBundles() {
+  const dir = getBundlesDir();
+  if (!fs.existsSync(dir)) return;
+  for (const name of fs.readdirSync(dir)) {
+    try { fs.unlinkSync(path.join(dir, name)); } catch (e) {}
+  }
+}
+
+function getBundleJob(id) {
+  return jobs.get(id) || null;
+}
+
+function listBundleJobs() {
+  return Array.from(jobs.values()).sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// Path of a finished bundle, null if the job isn't done (or has expired)
+function getBundleFile(id) {
+  const job = jobs.get(id);
+  if (!job || job.status !== 'done') return null;
+  return getBundlePath(job);
+}
+
+module.exports = {
+  createBundle,
+  getBundleJob,
+  listBundleJobs,
+  getBundleFile,
+  removeStaleBundles,
+  BundleError
+};
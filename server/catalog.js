@@ -0,0 +1,359 @@
+const path = require('path');
+const fs = require('fs');
+const { execFile } = require('child_process');
+const encryption = require('./encryption');
+const config = require('./config');
+
+// Recording catalog, keyed by filename. Persisted as JSON lines in the
+// recordings directory: every change appends the full entry, removals append
+// { name, removed: true }. The file is compacted on startup and rebuild.
+const entries = new Map();
+let loaded = false;
+
+const VIDEO_EXTENSIONS = /\.(mp4|webm|mkv)$/i;
+
+function getRecordingsDir() {
+  return path.resolve(config.recording.directory);
+}
+
+function getCatalogPath() {
+  return path.join(getRecordingsDir(), 'catalog.jsonl');
+}
+
+function load() {
+  if (loaded) return;
+  loaded = true;
+
+  const catalogPath = getCatalogPath();
+  if (!fs.existsSync(catalogPath)) return;
+
+  const lines = fs.readFileSync(catalogPath, 'utf8').split('\n');
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      const record = JSON.parse(line);
+      if (record.removed) {
+        entries.delete(record.name);
+      } else {
+        entries.set(record.name, record);
+      }
+    } catch (e) {
+      // A torn last line from a crash; everything before it is still valid
+      console.warn(`Catalog: skipping unreadable line in ${catalogPath}`);
+    }
+  }
+}
+
+function append(record) {
+  const recordingsDir = getRecordingsDir();
+  if (!fs.existsSync(recordingsDir)) {
+    fs.mkdirSync(recordingsDir, { recursive: true });
+  }
+
+  try {
+    fs.appendFileSync(getCatalogPath(), JSON.stringify(record) + '\n');
+  } catch (error) {
+    console.error('Catalog: failed to write entry:', error.message);
+  }
+}
+
+// Rewrite the catalog file with one line per current entry
+function compact() {
+  const catalogPath = getCatalogPath();
+  const tmpPath = `${catalogPath}.tmp`;
+  const content = Array.from(entries.values()).map(e => JSON.stringify(e) + '\n').join('');
+
+  fs.writeFileSync(tmpPath, content);
+  fs.renameSync(tmpPath, catalogPath);
+}
+
+function addEntry(entry) {
+  load();
+  entries.set(entry.name, entry);
+  append(entry);
+  return entry;
+}
+
+function updateEntry(name, changes) {
+  load();
+  const entry = { ...entries.get(name), ...changes, name };
+  entries.set(name, entry);
+  append(entry);
+  return entry;
+}
+
+function removeEntry(name) {
+  load();
+  if (!entries.delete(name)) return false;
+  append({ name, removed: true });
+  return true;
+}
+
+function getEntry(name) {
+  load();
+  return entries.get(name) || null;
+}
+
+// All entries, newest first. Sizes of files still being written are read from disk.
+function listEntries() {
+  load();
+
+  return Array.from(entries.values())
+    .map(entry => {
+      if (entry.status !== 'recording') return entry;
+      try {
+        const stats = fs.statSync(path.join(getRecordingsDir(), entry.name));
+        return { ...entry, size: stats.size, modified: stats.mtime };
+      } catch (e) {
+        return entry;
+      }
+    })
+    .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+}
+
+const SORT_FIELDS = ['startedAt', 'endedAt', 'duration', 'size', 'deviceName'];
+
+function compareBy(field) {
+  return (a, b) => {
+    const x = a[field];
+    const y = b[field];
+    if (x === y) return 0;
+    if (x === null || x === undefined) return -1;
+    if (y === null || y === undefined) return 1;
+    if (field === 'startedAt' || field === 'endedAt') return new Date(x) - new Date(y);
+    if (typeof x === 'string') return x.localeCompare(y);
+    return x - y;
+  };
+}
+
+// Filter, sort and paginate entries. A recording matches a from/to range when
+// any part of it falls inside the range.
+function queryEntries({
+  device, from, to, minDuration, minSize,
+  sort = 'startedAt', order = 'desc', page = 1, pageSize = 50
+} = {}) {
+  const field = SORT_FIELDS.includes(sort) ? sort : 'startedAt';
+  const fromTime = from ? new Date(from).getTime() : null;
+  const toTime = to ? new Date(to).getTime() : null;
+  const deviceFilter = device ? device.toLowerCase() : null;
+
+  const matches = listEntries().filter(entry => {
+    if (deviceFilter && !(entry.deviceName || '').toLowerCase().includes(deviceFilter)) return false;
+    if (minDuration && !(entry.duration >= minDuration)) return false;
+    if (minSize && !(entry.size >= minSize)) return false;
+
+    const start = new Date(entry.startedAt).getTime();
+    const end = entry.endedAt ? new Date(entry.endedAt).getTime() : Date.now();
+    if (fromTime !== null && end < fromTime) return false;
+    if (toTime !== null && start > toTime) return false;
+    return true;
+  });
+
+  matches.sort(compareBy(field));
+  if (order !== 'asc') matches.reverse();
+
+  const offset = (page - 1) * pageSize;
+  return {
+    total: matches.length,
+    page,
+    pageSize,
+    hasMore: offset + pageSize < matches.length,
+    items: matches.slice(offset, offset + pageSize)
+  };
+}
+
+// Distinct device names in the catalog, for filter controls
+function listDevices() {
+  load();
+  return Array.from(new Set(Array.from(entries.values()).map(e => e.deviceName))).sort();
+}
+
+// Read duration, codecs, resolution and frame count with ffprobe, if installed.
+// Encrypted files are read decrypted through the loopback input (see encryption.js).
+async function probeFile(filepath) {
+  let input;
+  try {
+    input = await encryption.inputPath(filepath);
+  } catch (e) {
+    return null;
+  }
+
+  return new Promise(resolve => {
+    execFile('ffprobe', [
+      '-v', 'error',
+      '-show_entries', 'format=duration:stream=codec_type,codec_name,width,height,nb_frames',
+      '-of', 'json',
+      input
+    ], { encoding: 'utf8', timeout: 30000 }, (error, output) => {
+      if (error) return resolve(null);
+      try {
+        const data = JSON.parse(output);
+        const info = { codecs: {} };
+        for (const stream of data.streams || []) {
+          info.codecs[stream.codec_type] = (stream.codec_name || '').toUpperCase();
+          if (stream.codec_type === 'video') {
+            info.width = stream.width || null;
+            info.height = stream.height || null;
+            if (stream.nb_frames) info.frames = parseInt(stream.nb_frames, 10);
+          }
+        }
+        const duration = parseFloat(data.format?.duration);
+        if (!isNaN(duration)) info.duration = duration;
+        resolve(info);
+      } catch (e) {
+        resolve(null);
+      }
+    });
+  });
+}
+
+// Whether the first video packet of a file is a keyframe; null without
+// ffprobe or a video stream
+async function probeKeyframeStart(filepath) {
+  let input;
+  try {
+    input = await encryption.inputPath(filepath);
+  } catch (e) {
+    return null;
+  }
+
+  return new Promise(resolve => {
+    execFile('ffprobe', [
+      '-v', 'error',
+      '-select_streams', 'v:0',
+      '-read_intervals', '%+#1',
+      '-show_entries', 'packet=flags',
+      '-of', 'csv=p=0',
+      input
+    ], { encoding: 'utf8', timeout: 30000 }, (error, output) => {
+      const flags = error ? '' : output.trim();
+      resolve(flags ? flags.startsWith('K') : null);
+    });
+  });
+}
+
+// Build a catalog entry for a file found on disk, from its name, stats and
+// what ffprobe found in it (info, from probeFile), if probed
+function describeFile(name, info = null) {
+  const { parseRecordingFilename } = require('./recorder');
+  const filepath = path.join(getRecordingsDir(), name);
+  const stats = fs.statSync(filepath);
+  const parsed = parseRecordingFilename(name);
+
+  const endedAt = stats.mtime;
+  const duration = info?.duration ?? null;
+  const startedAt = duration !== null
+    ? new Date(endedAt.getTime() - duration * 1000)
+    : (parsed?.segment ? stats.birthtime : parsed?.sessionStart || stats.birthtime);
+
+  return {
+    name,
+    sessionId: parsed ? name.replace(/(_seg\d+)?\.\w+$/, '') : name,
+    segment: parsed ? parsed.segment : null,
+    deviceName: parsed ? parsed.deviceName : 'unknown',
+    clientId: null,
+    startedAt,
+    endedAt,
+    duration,
+    codecs: info?.codecs || {},
+    width: info?.width ?? null,
+    height: info?.height ?? null,
+    frames: info?.frames ?? null,
+    size: stats.size,
+    modified: stats.mtime,
+    status: 'recovered',
+    // Without ffprobe there is no way to tell whether the file is intact
+    endedCleanly: info ? info.duration !== undefined : null
+  };
+}
+
+function listVideoFiles() {
+  const recordingsDir = getRecordingsDir();
+  if (!fs.existsSync(recordingsDir)) return [];
+  return fs.readdirSync(recordingsDir).filter(f => VIDEO_EXTENSIONS.test(f));
+}
+
+// Sync the catalog with the directory at startup: entries left "recording" by
+// a previous run are marked incomplete and flagged for repair (see repair.js),
+// missing files are dropped and files without an entry are added from disk.
+function reconcileCatalog() {
+  load();
+
+  const files = new Set(listVideoFiles());
+  let changed = 0;
+
+  for (const [name, entry] of entries) {
+    if (!files.has(name)) {
+      entries.delete(name);
+      changed++;
+    } else if (entry.status === 'recording') {
+      const stats = fs.statSync(path.join(getRecordingsDir(), name));
+      entries.set(name, {
+        ...entry,
+        status: 'incomplete',
+        endedCleanly: false,
+        endedAt: stats.mtime,
+        modified: stats.mtime,
+        size: stats.size,
+        duration: (stats.mtime - new Date(entry.startedAt)) / 1000,
+        pendingRepair: true
+      });
+      changed++;
+    }
+  }
+
+  for (const name of files) {
+    if (!entries.has(name)) {
+      entries.set(name, describeFile(name));
+      changed++;
+    }
+  }
+
+  compact();
+  console.log(`Catalog: ${entries.size} recordings (${changed} reconciled with disk)`);
+}
+
+// Recovery: throw the catalog away and rebuild it from the files on disk.
+// Files are probed first and the catalog swapped in at once, so it is never
+// half-built while the (slow) probing runs. Files still being recorded keep
+// their entries: they are not finished, and retention and bulk delete leave
+// them alone only while they are marked as recording.
+async function rebuildCatalog() {
+  load();
+  const rebuilt = new Map();
+
+  for (const name of listVideoFiles()) {
+    if (entries.get(name)?.status === 'recording') continue;
+    try {
+      const info = await probeFile(path.join(getRecordingsDir(), name));
+      rebuilt.set(name, describeFile(name, info));
+    } catch (error) {
+      console.error(`Catalog: could not describe ${name}: ${error.message}`);
+    }
+  }
+
+  // Including recordings that started while the files were being probed
+  for (const entry of entries.values()) {
+    if (entry.status === 'recording') rebuilt.set(entry.name, entry);
+  }
+
+  entries.clear();
+  for (const [name, entry] of rebuilt) entries.set(name, entry);
+  compact();
+  console.log(`Catalog rebuilt: ${entries.size} recordings`);
+  return entries.size;
+}
+
+module.exports = {
+  addEntry,
+  updateEntry,
+  removeEntry,
+  getEntry,
+  listEntries,
+  queryEntries,
+  listDevices,
+  reconcileCatalog,
+  rebuildCatalog,
+  probeFile,
+  probeKeyframeStart
+};
@@ -0,0 +1,169 @@
+const path = require('path');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const catalog = require('./catalog');
+const thumbnails = require('./thumbnails');
+const storage = require('./storage');
+const encryption = require('./encryption');
+const integrity = require('./integrity');
+const { runFfmpeg } = require('./ffmpeg');
+
+// Clip export jobs, keyed by job id. Finished jobs are kept for an hour so
+// clients can pick up the result.
+const jobs = new Map();
+const JOB_TTL_MS = 60 * 60 * 1000;
+
+class ClipError extends Error {}
+
+// Resolve the request body to offsets (seconds) within the source recording.
+// Accepts { start, end } offsets or { startTime, endTime } wall-clock times.
+function resolveRange(source, { start, end, startTime, endTime }) {
+  const sourceStart = new Date(source.startedAt).getTime();
+
+  const from = startTime !== undefined ? (new Date(startTime).getTime() - sourceStart) / 1000 : parseFloat(start);
+  const to = endTime !== undefined ? (new Date(endTime).getTime() - sourceStart) / 1000 : parseFloat(end);
+
+  if (isNaN(from) || isNaN(to)) {
+    throw new ClipError('start/end (seconds) or startTime/endTime (ISO dates) are required');
+  }
+  if (from < 0 || to <= from) {
+    throw new ClipError('Clip range must start at or after 0 and end after it starts');
+  }
+  if (source.duration && from >= source.duration) {
+    throw new ClipError(`Clip starts after the end of the recording (${source.duration.toFixed(1)}s)`);
+  }
+
+  return { from, to: source.duration ? Math.min(to, source.duration) : to };
+}
+
+// A clip filename not used by a recording, a catalog entry or a running
+// export: clips of different lengths (or accuracy) from the same start
+// point would otherwise overwrite each other
+function uniqueClipName(base) {
+  const taken = (name) => storage.recordingExists(name) || catalog.getEntry(name) ||
+    Array.from(jobs.values()).some(job => job.status === 'running' && job.clip === name);
+
+  let name = `${base}.mkv`;
+  for (let n = 2; taken(name); n++) {
+    name = `${base}-${n}.mkv`;
+  }
+  return name;
+}
+
+// Start exporting a clip. Stream copy (cuts land on the nearest keyframe)
+// unless accurate is set, which re-encodes for frame-exact cuts.
+function createClip(filename, body = {}) {
+  const source = catalog.getEntry(filename);
+  if (!source) {
+    throw new ClipError('Recording is not in the catalog');
+  }
+  if (source.status === 'recording') {
+    throw new ClipError('Recording is still in progress');
+  }
+
+  const { from, to } = resolveRange(source, body);
+  const accurate = !!body.accurate;
+
+  const clipStart = new Date(new Date(source.startedAt).getTime() + from * 1000);
+  const timestamp = clipStart.toISOString().replace(/[:.]/g, '-');
+  const safeDeviceName = (source.deviceName || 'unknown').replace(/[^a-zA-Z0-9-_]/g, '_');
+  const clipName = uniqueClipName(`${safeDeviceName}_${timestamp}_clip`);
+
+  const job = {
+    id: uuidv4(),
+    source: filename,
+    clip: clipName,
+    start: from,
+    end: to,
+    accurate,
+    status: 'running',
+    progress: 0,
+    error: null,
+    createdAt: new Date(),
+    finishedAt: null
+  };
+  jobs.set(job.id, job);
+
+  runClipJob(job, source, clipStart).catch(() => {});
+  return job;
+}
+
+async function runClipJob(job, source, clipStart) {
+  const duration = job.end - job.start;
+  const clipPath = storage.getRecordingPath(job.clip);
+  const tmpPath = `${clipPath}.tmp`;
+
+  console.log(`Exporting clip ${job.clip} from ${job.source} (${job.start.toFixed(1)}s - ${job.end.toFixed(1)}s)`);
+
+  try {
+    await runFfmpeg([
+      '-y',
+      // Input seeking is fast; with stream copy it snaps to a keyframe
+      '-ss', String(job.start),
+      '-i', await encryption.inputPath(storage.getRecordingPath(job.source)),
+      '-t', String(duration),
+      '-map', '0:v?',
+      '-map', '0:a?',
+      ...(job.accurate
+        ? ['-c:v', 'libx264', '-preset', 'veryfast', '-crf', '20', '-c:a', 'aac', '-b:a', '128k']
+        : ['-c', 'copy', '-avoid_negative_ts', 'make_zero']),
+      '-f', 'matroska',
+      tmpPath
+    ], {
+      onProgress: (seconds) => { job.progress = Math.min(1, seconds / duration); }
+    });
+
+    integrity.recordHash(job.clip, await integrity.hashFile(tmpPath));
+    await encryption.encryptFile(tmpPath);
+    fs.renameSync(tmpPath, clipPath);
+    const stats = fs.statSync(clipPath);
+
+    catalog.addEntry({
+      name: job.clip,
+      sessionId: job.clip.replace(/\.\w+$/, ''),
+      segment: null,
+      deviceName: source.deviceName,
+      clientId: source.clientId,
+      startedAt: clipStart,
+      endedAt: new Date(clipStart.getTime() + duration * 1000),
+      duration,
+      codecs: job.accurate ? { video: 'H264', audio: 'AAC' } : source.codecs,
+      width: source.width,
+      height: source.height,
+      frames: null,
+      size: stats.size,
+      modified: stats.mtime,
+      status: 'complete',
+      endedCleanly: true,
+      clipOf: { name: job.source, start: job.start, end: job.end }
+    });
+    thumbnails.generateThumbnails(job.clip);
+
+    job.status = 'done';
+    job.progress = 1;
+    console.log(`✓ Clip exported: ${job.clip}`);
+  } catch (error) {
+    job.status = 'failed';
+    job.error = error.message;
+    console.error(`Clip export failed for ${job.clip}: ${error.message}`);
+    try { if (fs.existsSync(tmpPath)) fs.unlinkSync(tmpPath); } catch (e) {}
+  } finally {
+    job.finishedAt = new Date();
+    setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+  }
+}
+
+function getClipJob(id) {
+  return jobs.get(id) || null;
+}
+
+function listClipJobs() {
+  return Array.from(jobs.values()).sort((a, b) => b.createdAt - a.createdAt);
+}
+
+module.exports = {
+  createClip,
+  getClipJob,
+  listClipJobs,
+  ClipError
+};
@@ -126,13 +126,149 @@ module.exports = {
     plainRtpTransport: {
       listenIp: { ip: '127.0.0.1', announcedIp: null },
       rtcpMux: false,
-      comedia: false
+      comedia: false,
+      // Local ports FFmpeg (recording, live HLS, motion detection) and the
+      // motion pre-roll buffer receive RTP on, as RTP/RTCP pairs. Keep clear
+      // of the worker's rtcMinPort-rtcMaxPort.
+      portRange: { min: 20000, max: 30000 }
     }
   },
   
   recording: {
     directory: './server/recordings',
-    format: 'mp4'
+    format: 'mp4',
+    // How long to wait for a device's second track (audio or video) before
+    // starting a recording, so both end up in the same file
+    pairingWindowMs: 2000,
+    // Segmented mode: split each device's recording into consecutive,
+    // individually playable files of segmentSeconds length
+    segmented: false,
+    segmentSeconds: 300,
+    // Default recording mode for devices without their own setting (set per
+    // device from the dashboard): 'continuous', 'motion' or 'off'
+    mode: 'continuous',
+    // Default recording profile for devices without their own setting (set
+    // per device from the dashboard): 'copy' writes video as received, with
+    // little CPU; 'overlay' re-encodes it to H.264 with the device name and
+    // local date/time burned in
+    profile: 'copy',
+    overlay: {
+      position: 'top-left', // top-left, top-right, bottom-left or bottom-right
+      fontSize: 24,
+      fontColor: 'white',
+      fontFile: null, // Path to a .ttf, if FFmpeg has no fontconfig default font
+      box: true, // Semi-transparent background behind the text
+      preset: 'veryfast',
+      crf: 23
+    },
+    // Motion mode: seconds kept in memory and written before the motion
+    // started, and seconds recorded after it ended
+    motion: {
+      preRollSeconds: 5,
+      postRollSeconds: 10
+    },
+    // FFmpeg dying mid-recording is restarted into a new file after
+    // initialDelayMs, doubling up to maxDelayMs. After maxAttempts failures in
+    // a row the device is reported in an error state; a pipeline that ran for
+    // stableSeconds resets the count.
+    restart: {
+      maxAttempts: 5,
+      initialDelayMs: 1000,
+      maxDelayMs: 30000,
+      stableSeconds: 60
+    },
+    // On SIGINT/SIGTERM, how long to wait for recordings to be finalized
+    // (FFmpeg writing cues and duration, then hashing and encryption) before
+    // exiting anyway. Files cut off are repaired by remuxing on the next start.
+    shutdownTimeoutSeconds: 15,
+    // Encryption at rest: finished recordings, clips, timelapses, thumbnails
+    // and the playback cache are stored AES-256-GCM encrypted and decrypted
+    // on the fly for (authenticated) playback and download. The file being
+    // recorded is encrypted once it is finished, so recordings are always
+    // segmented while this is on (see segmentSeconds for how long a segment
+    // stays plaintext); finished files left unencrypted are retried at startup.
+    // Keys are 32 bytes as hex or base64 (npm run recordings:keys generate);
+    // RECORDING_ENCRYPTION_KEY / RECORDING_ENCRYPTION_PREVIOUS_KEYS override
+    // these. Keep old keys in previousKeys until `recordings:keys rotate` has run.
+    encryption: {
+      enabled: false,
+      key: null,
+      previousKeys: []
+    },
+    // Poster thumbnail (and optional sprite sheet) generated for each
+    // finished recording, cached in <directory>/thumbnails
+    thumbnails: {
+      enabled: true,
+      width: 320,
+      sprite: false,
+      spriteInterval: 10, // Seconds between sprite frames
+      spriteColumns: 10,
+      spriteWidth: 160
+    },
+    // Retention: oldest recordings are deleted first once a limit is hit.
+    // 0 disables a limit. Files still being written are never deleted.
+    retention: {
+      maxAgeDays: 0,
+      maxTotalGB: 0,
+      maxDeviceGB: 0,
+      protectLocked: true, // Skip recordings locked via PUT /api/recordings/:filename/lock
+      checkIntervalMinutes: 10
+    }
+  },
+  
+  // Motion detection: each camera is decoded at fps into width x height
+  // grayscale frames; a frame counts as motion when more than threshold of its
+  // pixels changed brightness by more than pixelThreshold (0-255)
+  motion: {
+    enabled: true,
+    fps: 2,
+    width: 64,
+    height: 36,
+    pixelThreshold: 25,
+    threshold: 0.02,
+    minFrames: 2, // Consecutive motion frames needed to start an event
+    cooldownSeconds: 5 // Quiet time before the event ends
+  },
+  
+  // Detected events are kept in <recording.directory>/events.jsonl
+  events: {
+    maxAgeDays: 30 // 0 keeps events forever
+  },
+  
+  // Live HLS output at /live/<deviceId>/index.m3u8, started on demand
+  hls: {
+    directory: null, // Defaults to a lan-cctv-hls folder in the OS temp dir
+    segmentSeconds: 1,
+    listSize: 6, // Segments kept in the playlist
+    idleTimeoutSeconds: 30, // Stop after this long without playlist/segment requests
+    startTimeoutSeconds: 15
+  },
+
+  // Timelapses rendered from recordings: POST /api/timelapses, or nightly
+  // for devices set up with PUT /api/timelapses/nightly/:deviceName
+  timelapse: {
+    interval: 60, // Default seconds of footage per timelapse frame
+    fps: 30, // Default playback frame rate
+    width: 1280,
+    maxFrames: 20000,
+    nightlyAt: '01:00' // Local time the previous day's timelapses are rendered
+  },
+
+  // Still images of live cameras: GET /api/devices/:deviceId/snapshot.jpg
+  snapshots: {
+    cacheSeconds: 2, // Serve the same image to requests within this long
+    timeoutSeconds: 10, // Give up if no frame could be decoded by then
+    quality: 80, // Default JPEG quality, 1-100
+    maxWidth: 3840
+  },
+
+  // Tamper-evident export bundles: POST /api/exports. Manifests are signed
+  // with an Ed25519 key generated on first use at signingKeyPath (relative to
+  // server/); keep it and back it up, since it identifies this server.
+  exports: {
+    signingKeyPath: './certs/export-signing-key.pem',
+    serverName: null, // Name in the manifest; defaults to the host name
+    keepHours: 24 // Finished bundles are deleted after this long
   },
   
   getLocalIPs
@@ -0,0 +1,431 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { Readable } = require('stream');
+const config = require('./config');
+
+// Optional encryption at rest (recording.encryption). Finished recordings and
+// the files derived from them (playback cache, thumbnails) are stored as:
+//
+//   header: "LCCTVENC" | version (1) | key id (8) | file id (8) | chunk size (4)
+//   chunks: AES-256-GCM ciphertext of up to chunk size bytes | tag (16)
+//
+// A chunk's IV is the file id plus the chunk index, and its tag also covers
+// the header, the index and whether it is the last chunk, so chunks can't be
+// reordered, moved between files or cut off unnoticed. Fixed-size chunks let
+// any byte range be decrypted without reading the whole file. The key id
+// (start of the key's SHA-256) says which key a file needs after rotation.
+const MAGIC = Buffer.from('LCCTVENC');
+const VERSION = 1;
+const HEADER_SIZE = MAGIC.length + 1 + 8 + 8 + 4;
+const TAG_SIZE = 16;
+const CHUNK_SIZE = 64 * 1024;
+
+const MIME_TYPES = {
+  '.mkv': 'video/x-matroska',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.jpg': 'image/jpeg'
+};
+
+class EncryptionError extends Error {}
+
+let keys = null;
+
+// Loopback HTTP server FFmpeg reads encrypted files through, decrypted, with
+// seeking via Range requests. Only paths under the recordings directory, and
+// only with this process's random token.
+let inputServer = null;
+const inputToken = crypto.randomBytes(16).toString('hex');
+
+function parseKey(value, label) {
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    throw new EncryptionError(`${label} must be a 32-byte key, as 64 hex characters or base64`);
+  }
+  return key;
+}
+
+function keyId(key) {
+  return crypto.createHash('sha256').update(key).digest().subarray(0, 8);
+}
+
+// The current key (new files) and every key files may be encrypted with,
+// keyed by key id in hex. RECORDING_ENCRYPTION_KEY and
+// RECORDING_ENCRYPTION_PREVIOUS_KEYS (comma separated) override config.js.
+function getKeys() {
+  if (keys) return keys;
+
+  const options = config.recording.encryption || {};
+  const currentValue = process.env.RECORDING_ENCRYPTION_KEY || options.key;
+  const previousValues = process.env.RECORDING_ENCRYPTION_PREVIOUS_KEYS
+    ? process.env.RECORDING_ENCRYPTION_PREVIOUS_KEYS.split(',').map(v => v.trim()).filter(Boolean)
+    : options.previousKeys || [];
+
+  const all = new Map();
+  let current = null;
+  if (currentValue) {
+    const key = parseKey(currentValue, 'recording.encryption.key');
+    current = { id: keyId(key), key };
+    all.set(current.id.toString('hex'), key);
+  }
+  previousValues.forEach((value, i) => {
+    const key = parseKey(value, `recording.encryption.previousKeys[${i}]`);
+    all.set(keyId(key).toString('hex'), key);
+  });
+
+  keys = { current, all };
+  return keys;
+}
+
+function isEnabled() {
+  return !!config.recording.encryption?.enabled;
+}
+
+// Fail at startup rather than when the first recording finishes
+function checkConfig() {
+  if (!isEnabled()) return;
+  if (!getKeys().current) {
+    throw new EncryptionError('recording.encryption is enabled but no key is set ' +
+      '(recording.encryption.key or RECORDING_ENCRYPTION_KEY)');
+  }
+  if (!config.server.auth?.enabled) {
+    console.warn('⚠️  Recordings are encrypted at rest, but anyone on the network can play them: server.auth is off');
+  }
+  if (!config.recording.segmented) {
+    console.log(`Recordings are segmented while encryption is on (${config.recording.segmentSeconds}s segments)`);
+  }
+  console.log(`✓ Recording encryption enabled (key ${getKeys().current.id.toString('hex')})`);
+}
+
+function parseHeader(header) {
+  return {
+    header,
+    keyId: header.subarray(MAGIC.length + 1, MAGIC.length + 9).toString('hex'),
+    fileId: header.subarray(MAGIC.length + 9, MAGIC.length + 17),
+    chunkSize: header.readUInt32BE(MAGIC.length + 17)
+  };
+}
+
+function readHeaderFromFd(fd) {
+  const header = Buffer.alloc(HEADER_SIZE);
+  const bytesRead = fs.readSync(fd, header, 0, HEADER_SIZE, 0);
+  if (bytesRead < HEADER_SIZE || !header.subarray(0, MAGIC.length).equals(MAGIC)) return null;
+
+  if (header[MAGIC.length] !== VERSION) {
+    throw new EncryptionError(`Unsupported encrypted file version ${header[MAGIC.length]}`);
+  }
+  return parseHeader(header);
+}
+
+// Header of an encrypted file, null for a plaintext one
+function readHeader(filepath) {
+  const fd = fs.openSync(filepath, 'r');
+  try {
+    return readHeaderFromFd(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function isEncrypted(filepath) {
+  try {
+    return readHeader(filepath) !== null;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Layout of a file: plaintext size and, if encrypted, chunk count
+function getLayout(filepath, info) {
+  const stats = fs.statSync(filepath);
+  if (!info) return { chunks: 0, size: stats.size, mtime: stats.mtime };
+
+  const chunkBytes = info.chunkSize + TAG_SIZE;
+  const chunks = Math.max(1, Math.ceil((stats.size - HEADER_SIZE) / chunkBytes));
+  return { chunks, size: stats.size - HEADER_SIZE - chunks * TAG_SIZE, mtime: stats.mtime };
+}
+
+// Size of the file's content, decrypted if needed
+function getPlainSize(filepath) {
+  return getLayout(filepath, readHeader(filepath)).size;
+}
+
+function chunkParams(info, index, last) {
+  const iv = Buffer.alloc(12);
+  info.fileId.copy(iv, 0);
+  iv.writeUInt32BE(index, 8);
+
+  const aad = Buffer.alloc(HEADER_SIZE + 5);
+  info.header.copy(aad, 0);
+  aad.writeUInt32BE(index, HEADER_SIZE);
+  aad[HEADER_SIZE + 4] = last ? 1 : 0;
+  return { iv, aad };
+}
+
+function getKey(info, filepath) {
+  const key = getKeys().all.get(info.keyId);
+  if (!key) {
+    throw new EncryptionError(`No key for ${path.basename(filepath)} (key id ${info.keyId}); ` +
+      'add it to recording.encryption.previousKeys');
+  }
+  return key;
+}
+
+// Plaintext of bytes start..end (inclusive) of a file, encrypted or not
+async function* readPlain(filepath, { start = 0, end = Infinity } = {}) {
+  const handle = await fs.promises.open(filepath, 'r');
+  try {
+    const info = readHeaderFromFd(handle.fd);
+
+    if (!info) {
+      const buffer = Buffer.alloc(CHUNK_SIZE);
+      for (let position = start; position <= end;) {
+        const { bytesRead } = await handle.read(buffer, 0, Math.min(CHUNK_SIZE, end - position + 1), position);
+        if (bytesRead === 0) return;
+        yield Buffer.from(buffer.subarray(0, bytesRead));
+        position += bytesRead;
+      }
+      return;
+    }
+
+    const key = getKey(info, filepath);
+    const layout = getLayout(filepath, info);
+    const last = Math.min(end, layout.size - 1);
+    const chunkBytes = info.chunkSize + TAG_SIZE;
+
+    for (let index = Math.floor(start / info.chunkSize); index * info.chunkSize <= last; index++) {
+      const isLast = index === layout.chunks - 1;
+      const length = isLast ? layout.size - index * info.chunkSize + TAG_SIZE : chunkBytes;
+      const chunk = Buffer.alloc(length);
+      const { bytesRead } = await handle.read(chunk, 0, length, HEADER_SIZE + index * chunkBytes);
+      if (bytesRead !== length) {
+        throw new EncryptionError(`${path.basename(filepath)} is truncated`);
+      }
+
+      const { iv, aad } = chunkParams(info, index, isLast);
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+      decipher.setAAD(aad);
+      decipher.setAuthTag(chunk.subarray(length - TAG_SIZE));
+      let plain;
+      try {
+        plain = Buffer.concat([decipher.update(chunk.subarray(0, length - TAG_SIZE)), decipher.final()]);
+      } catch (e) {
+        throw new EncryptionError(`${path.basename(filepath)} is damaged or was tampered with (chunk ${index})`);
+      }
+
+      const from = Math.max(0, start - index * info.chunkSize);
+      const to = Math.min(plain.length, last - index * info.chunkSize + 1);
+      yield plain.subarray(from, to);
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+function createReadStream(filepath, range) {
+  return Readable.from(readPlain(filepath, range));
+}
+
+// Rewrite a file in place, encrypted with `key` or as plaintext when key is
+// null. The modification time is kept, since the catalog and retention go by it.
+// Resolves false if the file was deleted in the meantime.
+async function rewriteFile(filepath, key) {
+  const stats = fs.statSync(filepath);
+  const size = getPlainSize(filepath);
+  const tmpPath = `${filepath}.crypt.tmp`;
+  const output = await fs.promises.open(tmpPath, 'w', 0o600);
+
+  try {
+    // Only what was there when we started, should anything still append
+    const range = { end: size - 1 };
+    if (!key) {
+      for await (const plain of readPlain(filepath, range)) {
+        await output.write(plain);
+      }
+    } else {
+      const header = Buffer.alloc(HEADER_SIZE);
+      let offset = MAGIC.copy(header, 0);
+      header[offset++] = VERSION;
+      offset += keyId(key).copy(header, offset);
+      offset += crypto.randomBytes(8).copy(header, offset);
+      header.writeUInt32BE(CHUNK_SIZE, offset);
+      const info = parseHeader(header);
+      await output.write(header);
+
+      const chunks = Math.max(1, Math.ceil(size / CHUNK_SIZE));
+      let index = 0;
+      let pending = Buffer.alloc(0);
+      const writeChunk = async (plain) => {
+        const { iv, aad } = chunkParams(info, index, index === chunks - 1);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        cipher.setAAD(aad);
+        await output.write(Buffer.concat([cipher.update(plain), cipher.final(), cipher.getAuthTag()]));
+        index++;
+      };
+
+      for await (const plain of readPlain(filepath, range)) {
+        pending = Buffer.concat([pending, plain]);
+        while (pending.length >= CHUNK_SIZE && index < chunks - 1) {
+          await writeChunk(pending.subarray(0, CHUNK_SIZE));
+          pending = pending.subarray(CHUNK_SIZE);
+        }
+      }
+      await writeChunk(pending);
+    }
+
+    await output.sync();
+    await output.close();
+
+    // Deleted (retention, bulk delete) while it was being rewritten: don't
+    // bring it back
+    if (!fs.existsSync(filepath)) {
+      fs.unlinkSync(tmpPath);
+      return false;
+    }
+    fs.utimesSync(tmpPath, stats.atime, stats.mtime);
+    fs.renameSync(tmpPath, filepath);
+    return true;
+  } catch (error) {
+    await output.close().catch(() => {});
+    try { if (fs.existsSync(tmpPath)) fs.unlinkSync(tmpPath); } catch (e) {}
+    if (error.code === 'ENOENT' && !fs.existsSync(filepath)) return false;
+    throw error;
+  }
+}
+
+// Encrypt a finished file with the current key, if encryption is enabled (or
+// `force` is set and a key is configured). Already encrypted files are left alone.
+async function encryptFile(filepath, { force = false } = {}) {
+  if (!(isEnabled() || (force && getKeys().current)) || isEncrypted(filepath)) return false;
+  return rewriteFile(filepath, getKeys().current.key);
+}
+
+// Re-encrypt a file with the current key if it uses another one
+async function rotateFile(filepath) {
+  const info = readHeader(filepath);
+  const { current } = getKeys();
+  if (!info || !current || info.keyId === current.id.toString('hex')) return false;
+  return rewriteFile(filepath, current.key);
+}
+
+async function decryptFile(filepath) {
+  if (!isEncrypted(filepath)) return false;
+  return rewriteFile(filepath, null);
+}
+
+// "bytes=a-b", "bytes=a-" or "bytes=-n" against a file of `size` bytes
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+  if (!match || (!match[1] && !match[2])) return null;
+
+  let start;
+  let end;
+  if (!match[1]) {
+    start = Math.max(0, size - parseInt(match[2], 10));
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] ? Math.min(parseInt(match[2], 10), size - 1) : size - 1;
+  }
+  return start <= end ? { start, end } : 'unsatisfiable';
+}
+
+// Serve a decrypted file with Range support. Works with express and plain
+// http responses.
+function servePlain(req, res, filepath, { contentType, headers = {} } = {}) {
+  let info;
+  let layout;
+  try {
+    info = readHeader(filepath);
+    layout = getLayout(filepath, info);
+    if (info) getKey(info, filepath);
+  } catch (error) {
+    res.statusCode = error instanceof EncryptionError ? 500 : 404;
+    return res.end(error.message);
+  }
+
+  const range = parseRange(req.headers.range, layout.size);
+  if (range === 'unsatisfiable') {
+    res.writeHead(416, { 'Content-Range': `bytes */${layout.size}` });
+    return res.end();
+  }
+
+  const { start, end } = range || { start: 0, end: layout.size - 1 };
+  res.writeHead(range ? 206 : 200, {
+    ...headers,
+    'Content-Type': contentType || MIME_TYPES[path.extname(filepath).toLowerCase()] || 'application/octet-stream',
+    'Content-Length': String(Math.max(0, end - start + 1)),
+    'Accept-Ranges': 'bytes',
+    'Last-Modified': layout.mtime.toUTCString(),
+    ...(range ? { 'Content-Range': `bytes ${start}-${end}/${layout.size}` } : {})
+  });
+  if (req.method === 'HEAD' || layout.size === 0) return res.end();
+
+  const stream = createReadStream(filepath, { start, end });
+  stream.on('error', (error) => {
+    console.error(`Failed to decrypt ${path.basename(filepath)}: ${error.message}`);
+    res.destroy(error);
+  });
+  req.on('close', () => stream.destroy());
+  stream.pipe(res);
+}
+
+// res.sendFile for files that may be encrypted
+function sendFile(req, res, filepath, { contentType, headers = {} } = {}) {
+  if (!isEncrypted(filepath)) {
+    return res.sendFile(filepath, { headers: { ...headers, ...(contentType ? { 'Content-Type': contentType } : {}) } });
+  }
+  servePlain(req, res, filepath, { contentType, headers });
+}
+
+function startInputServer() {
+  if (inputServer) return inputServer;
+
+  const recordingsDir = path.resolve(config.recording.directory);
+  inputServer = new Promise((resolve, reject) => {
+    const server = http.createServer((req, res) => {
+      const [, token, ...rest] = decodeURIComponent(new URL(req.url, 'http://localhost').pathname).split('/');
+      const filepath = path.resolve(recordingsDir, rest.join('/'));
+      if (token !== inputToken || !filepath.startsWith(recordingsDir + path.sep)) {
+        res.statusCode = 403;
+        return res.end();
+      }
+      servePlain(req, res, filepath);
+    });
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      server.unref();
+      resolve(server.address().port);
+    });
+  });
+  return inputServer;
+}
+
+// What to give FFmpeg's -i for a file: the path itself, or for an encrypted
+// file a loopback URL that serves it decrypted
+async function inputPath(filepath) {
+  if (!isEncrypted(filepath)) return filepath;
+
+  const port = await startInputServer();
+  const relative = path.relative(path.resolve(config.recording.directory), filepath);
+  const encoded = relative.split(path.sep).map(encodeURIComponent).join('/');
+  return `http://127.0.0.1:${port}/${inputToken}/${encoded}`;
+}
+
+module.exports = {
+  isEnabled,
+  checkConfig,
+  isEncrypted,
+  readHeader,
+  getPlainSize,
+  createReadStream,
+  encryptFile,
+  rotateFile,
+  decryptFile,
+  sendFile,
+  inputPath,
+  getKeys,
+  EncryptionError
+};
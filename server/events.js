@@ -0,0 +1,125 @@
+const path = require('path');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const config = require('./config');
+
+// Detected events (motion, ...), keyed by id. Persisted as JSON lines next to
+// the recording catalog: every change appends the full event. Events older
+// than events.maxAgeDays are dropped when the file is compacted on startup.
+const events = new Map();
+let loaded = false;
+
+function getEventsPath() {
+  return path.join(path.resolve(config.recording.directory), 'events.jsonl');
+}
+
+function getMaxAgeDays() {
+  return config.events?.maxAgeDays ?? 30;
+}
+
+function load() {
+  if (loaded) return;
+  loaded = true;
+
+  const eventsPath = getEventsPath();
+  if (!fs.existsSync(eventsPath)) return;
+
+  const lines = fs.readFileSync(eventsPath, 'utf8').split('\n');
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      const event = JSON.parse(line);
+      events.set(event.id, event);
+    } catch (e) {
+      console.warn(`Events: skipping unreadable line in ${eventsPath}`);
+    }
+  }
+}
+
+function append(event) {
+  const recordingsDir = path.resolve(config.recording.directory);
+  if (!fs.existsSync(recordingsDir)) {
+    fs.mkdirSync(recordingsDir, { recursive: true });
+  }
+
+  try {
+    fs.appendFileSync(getEventsPath(), JSON.stringify(event) + '\n');
+  } catch (error) {
+    console.error('Events: failed to write event:', error.message);
+  }
+}
+
+// Drop expired events and rewrite the file with one line per event. Events
+// left open by a crash are closed at their start time.
+function compactEvents() {
+  load();
+
+  const maxAgeDays = getMaxAgeDays();
+  const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+
+  for (const [id, event] of events) {
+    if (cutoff && new Date(event.startedAt).getTime() < cutoff) {
+      events.delete(id);
+    } else if (!event.endedAt) {
+      events.set(id, { ...event, endedAt: event.startedAt });
+    }
+  }
+
+  const eventsPath = getEventsPath();
+  if (!fs.existsSync(path.dirname(eventsPath))) return;
+
+  const tmpPath = `${eventsPath}.tmp`;
+  fs.writeFileSync(tmpPath, Array.from(events.values()).map(e => JSON.stringify(e) + '\n').join(''));
+  fs.renameSync(tmpPath, eventsPath);
+}
+
+function addEvent(fields) {
+  load();
+  const event = { id: uuidv4(), ...fields };
+  events.set(event.id, event);
+  append(event);
+  return event;
+}
+
+function updateEvent(id, changes) {
+  load();
+  const event = { ...events.get(id), ...changes, id };
+  events.set(id, event);
+  append(event);
+  return event;
+}
+
+function getEvent(id) {
+  load();
+  return events.get(id) || null;
+}
+
+// Events newest first. An event matches a from/to range when any part of it
+// falls inside the range.
+function queryEvents({ type, device, from, to, limit = 100 } = {}) {
+  load();
+
+  const fromTime = from ? new Date(from).getTime() : null;
+  const toTime = to ? new Date(to).getTime() : null;
+  const deviceFilter = device ? device.toLowerCase() : null;
+
+  return Array.from(events.values())
+    .filter(event => {
+      if (type && event.type !== type) return false;
+      if (deviceFilter && !(event.deviceName || '').toLowerCase().includes(deviceFilter) &&
+          event.deviceId !== device) return false;
+      if (fromTime && new Date(event.endedAt || Date.now()).getTime() < fromTime) return false;
+      if (toTime && new Date(event.startedAt).getTime() > toTime) return false;
+      return true;
+    })
+    .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))
+    .slice(0, Math.max(1, limit));
+}
+
+module.exports = {
+  addEvent,
+  updateEvent,
+  getEvent,
+  queryEvents,
+  compactEvents
+};
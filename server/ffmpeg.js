@@ -0,0 +1,37 @@
+const { spawn } = require('child_process');
+
+// Parse "time=00:01:02.50" from FFmpeg progress output into seconds
+function parseProgressTime(text) {
+  const match = text.match(/time=\s*(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/g);
+  if (!match) return null;
+  const [, h, m, sec] = match[match.length - 1].match(/(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/);
+  return parseInt(h) * 3600 + parseInt(m) * 60 + parseFloat(sec);
+}
+
+// Run FFmpeg to completion. Resolves when it exits with 0, rejects with the
+// last stderr line otherwise. onProgress receives the processed media time in seconds.
+function runFfmpeg(args, { onProgress } = {}) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn('ffmpeg', args, { stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+
+    ffmpeg.stderr.on('data', (data) => {
+      const text = data.toString();
+      stderr = (stderr + text).slice(-2000);
+      if (onProgress) {
+        const seconds = parseProgressTime(text);
+        if (seconds !== null) onProgress(seconds);
+      }
+    });
+    ffmpeg.on('error', reject);
+    ffmpeg.on('close', (code) => {
+      if (code === 0) return resolve();
+      reject(new Error(`FFmpeg exited with ${code}: ${stderr.trim().split('\n').pop()}`));
+    });
+  });
+}
+
+module.exports = {
+  runFfmpeg,
+  parseProgressTime
+};
@@ -0,0 +1,256 @@
+const { spawn } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const config = require('./config');
+const { createRtpTrack, closeRtpTrack, buildSdp, waitForListeners } = require('./plain-rtp');
+
+// Live HLS outputs, keyed by the streaming client's id. Started by the first
+// playlist request, stopped after hls.idleTimeoutSeconds without requests.
+const sessions = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function getOptions() {
+  const hls = config.hls || {};
+  return {
+    directory: path.resolve(hls.directory || path.join(os.tmpdir(), 'lan-cctv-hls')),
+    segmentSeconds: hls.segmentSeconds || 1,
+    listSize: hls.listSize || 6,
+    idleTimeoutSeconds: hls.idleTimeoutSeconds || 30,
+    startTimeoutSeconds: hls.startTimeoutSeconds || 15
+  };
+}
+
+function isRunning(ffmpeg) {
+  return ffmpeg.exitCode === null && ffmpeg.signalCode === null;
+}
+
+function getSessionDir(deviceId) {
+  return path.join(getOptions().directory, deviceId);
+}
+
+// The streaming client's producers, video first
+function findProducers(deviceId) {
+  const mediasoupModule = require('./mediasoup');
+  const found = {};
+  for (const data of mediasoupModule.producers.values()) {
+    if (data.clientId === deviceId && !found[data.kind]) {
+      found[data.kind] = data;
+    }
+  }
+  return found;
+}
+
+async function startSession(deviceId) {
+  const options = getOptions();
+  const mediasoupModule = require('./mediasoup');
+  const producers = findProducers(deviceId);
+
+  if (!producers.video) {
+    throw new Error('Device has no active video');
+  }
+
+  const sessionDir = getSessionDir(deviceId);
+  fs.rmSync(sessionDir, { recursive: true, force: true });
+  fs.mkdirSync(sessionDir, { recursive: true });
+
+  const tracks = [];
+  try {
+    for (const kind of ['video', 'audio']) {
+      if (producers[kind]) {
+        tracks.push(await createRtpTrack(mediasoupModule.router, producers[kind].producer));
+      }
+    }
+  } catch (error) {
+    tracks.forEach(closeRtpTrack);
+    throw error;
+  }
+
+  const sdpPath = path.join(sessionDir, 'input.sdp');
+  fs.writeFileSync(sdpPath, buildSdp(tracks));
+
+  // H264 can be segmented as-is; VP8/VP9 have to be transcoded for HLS
+  const video = tracks[0];
+  const copyVideo = video.codecName === 'H264';
+  const gop = String(Math.round(options.segmentSeconds * 30));
+
+  const ffmpegArgs = [
+    '-hide_banner',
+    '-loglevel', 'error',
+    '-protocol_whitelist', 'file,udp,rtp',
+    '-fflags', '+genpts+discardcorrupt',
+    '-i', sdpPath,
+    '-map', '0:v',
+    '-map', '0:a?',
+    ...(copyVideo
+      ? ['-c:v', 'copy']
+      : ['-c:v', 'libx264', '-preset', 'veryfast', '-tune', 'zerolatency', '-pix_fmt', 'yuv420p',
+        '-g', gop, '-keyint_min', gop, '-sc_threshold', '0']),
+    '-c:a', 'aac', '-b:a', '96k',
+    '-f', 'hls',
+    '-hls_time', String(options.segmentSeconds),
+    '-hls_list_size', String(options.listSize),
+    '-hls_flags', 'delete_segments+independent_segments+omit_endlist',
+    '-hls_segment_filename', path.join(sessionDir, 'segment_%05d.ts'),
+    path.join(sessionDir, 'index.m3u8')
+  ];
+
+  const ffmpeg = spawn('ffmpeg', ffmpegArgs, { stdio: ['pipe', 'ignore', 'pipe'] });
+
+  const session = {
+    deviceId,
+    deviceName: producers.video.deviceName,
+    tracks,
+    ffmpeg,
+    sessionDir,
+    lastAccess: Date.now(),
+    keyFrameTimer: null,
+    idleTimer: null
+  };
+
+  ffmpeg.stderr.on('data', (data) => {
+    console.error(`HLS FFmpeg ${session.deviceName}: ${data.toString().trim()}`);
+  });
+  ffmpeg.on('error', (error) => {
+    console.error(`HLS FFmpeg spawn error for ${session.deviceName}: ${error.message}`);
+  });
+  // Only stop the session this FFmpeg belongs to: a failed start may exit
+  // after a newer session for the device has taken its place
+  const stopThisSession = () => {
+    if (sessions.get(deviceId)?.session === session) stopLive(deviceId);
+  };
+  ffmpeg.on('close', (code) => {
+    console.log(`HLS stopped for ${session.deviceName} (exit: ${code})`);
+    stopThisSession();
+  });
+
+  // The device leaving ends the stream
+  video.consumer.on('producerclose', stopThisSession);
+
+  // Wait for FFmpeg to start listening, then let RTP flow. Until the session
+  // is returned nothing else can stop it, so any failure cleans up here.
+  try {
+    await waitForListeners(ffmpeg, tracks);
+    for (const track of tracks) {
+      await track.consumer.resume();
+    }
+    await video.consumer.requestKeyFrame();
+    if (!isRunning(ffmpeg)) {
+      throw new Error('FFmpeg exited while the live stream was starting');
+    }
+  } catch (error) {
+    tracks.forEach(closeRtpTrack);
+    if (isRunning(ffmpeg)) {
+      try { ffmpeg.kill('SIGKILL'); } catch (e) {}
+    }
+    fs.rmSync(sessionDir, { recursive: true, force: true });
+    throw error;
+  }
+
+  // With stream copy segments can only be cut on keyframes, so ask for one per segment
+  if (copyVideo) {
+    session.keyFrameTimer = setInterval(() => {
+      video.consumer.requestKeyFrame().catch(() => {});
+    }, options.segmentSeconds * 1000);
+  }
+
+  session.idleTimer = setInterval(() => {
+    if (Date.now() - session.lastAccess > options.idleTimeoutSeconds * 1000) {
+      console.log(`HLS idle for ${session.deviceName}, stopping`);
+      stopLive(deviceId);
+    }
+  }, 5000);
+
+  console.log(`HLS started for ${session.deviceName}`);
+  return session;
+}
+
+// Start HLS for a device if needed and wait for its first playlist
+async function ensureLive(deviceId) {
+  let entry = sessions.get(deviceId);
+
+  // A session whose FFmpeg has died is dropped and started again
+  if (entry?.session && !isRunning(entry.session.ffmpeg)) {
+    console.warn(`⚠️  HLS FFmpeg for ${entry.session.deviceName} is gone, restarting`);
+    stopLive(deviceId);
+    entry = null;
+  }
+
+  if (!entry) {
+    entry = { starting: startSession(deviceId), session: null };
+    sessions.set(deviceId, entry);
+    try {
+      entry.session = await entry.starting;
+    } catch (error) {
+      sessions.delete(deviceId);
+      throw error;
+    }
+  } else if (!entry.session) {
+    await entry.starting;
+    if (!entry.session) throw new Error('Live stream failed to start');
+  }
+
+  entry.session.lastAccess = Date.now();
+
+  const playlistPath = path.join(entry.session.sessionDir, 'index.m3u8');
+  const deadline = Date.now() + getOptions().startTimeoutSeconds * 1000;
+  while (!fs.existsSync(playlistPath)) {
+    if (Date.now() > deadline || !sessions.has(deviceId)) {
+      throw new Error('Timed out waiting for the live stream');
+    }
+    await sleep(250);
+  }
+
+  return playlistPath;
+}
+
+// Path of a segment file, refreshing the idle timer; null if unknown
+function getSegmentPath(deviceId, segment) {
+  const entry = sessions.get(deviceId);
+  if (!entry?.session || !/^segment_\d+\.ts$/.test(segment)) return null;
+
+  entry.session.lastAccess = Date.now();
+  const segmentPath = path.join(entry.session.sessionDir, segment);
+  return fs.existsSync(segmentPath) ? segmentPath : null;
+}
+
+function stopLive(deviceId) {
+  const entry = sessions.get(deviceId);
+  if (!entry?.session) return;
+  sessions.delete(deviceId);
+
+  const { session } = entry;
+  clearInterval(session.keyFrameTimer);
+  clearInterval(session.idleTimer);
+  session.tracks.forEach(closeRtpTrack);
+
+  if (isRunning(session.ffmpeg)) {
+    try { session.ffmpeg.kill('SIGKILL'); } catch (e) {}
+  }
+  fs.rmSync(session.sessionDir, { recursive: true, force: true });
+}
+
+function stopAllLive() {
+  for (const deviceId of Array.from(sessions.keys())) {
+    stopLive(deviceId);
+  }
+}
+
+function getLiveSessions() {
+  return Array.from(sessions.values())
+    .filter(entry => entry.session)
+    .map(({ session }) => ({
+      deviceId: session.deviceId,
+      deviceName: session.deviceName,
+      lastAccess: new Date(session.lastAccess)
+    }));
+}
+
+module.exports = {
+  ensureLive,
+  getSegmentPath,
+  stopLive,
+  stopAllLive,
+  getLiveSessions
+};
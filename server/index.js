@@ -5,6 +5,26 @@ const path = require('path');
 const config = require('./config');
 const { initializeMediasoup } = require('./mediasoup');
 const { initializeWebSocket } = require('./websocket');
+const retention = require('./retention');
+const catalog = require('./catalog');
+const thumbnails = require('./thumbnails');
+const playback = require('./playback');
+const storage = require('./storage');
+const encryption = require('./encryption');
+const clips = require('./clips');
+const hls = require('./hls');
+const events = require('./events');
+const motion = require('./motion');
+const recordingModes = require('./recording-modes');
+const schedules = require('./schedules');
+const snapshots = require('./snapshots');
+const timelapse = require('./timelapse');
+const bundles = require('./bundles');
+const zip = require('./zip');
+const bookmarks = require('./bookmarks');
+const integrity = require('./integrity');
+const repair = require('./repair');
+const { getPortPoolStatus } = require('./plain-rtp');
 const fs = require('fs');
 
 const app = express();
@@ -39,6 +59,9 @@ function basicAuth(req, res, next) {
 // Apply basic auth to all routes
 app.use(basicAuth);
 
+// Parse JSON request bodies
+app.use(express.json());
+
 // Create HTTP or HTTPS server based on configuration
 let server;
 if (config.server.https?.enabled) {
@@ -78,34 +101,92 @@ app.get('/api/info', (req, res) => {
   });
 });
 
-// API endpoint to list recordings
-app.get('/api/recordings', (req, res) => {
-  const recordingsDir = path.resolve(config.recording.directory);
-  
-  if (!fs.existsSync(recordingsDir)) {
-    return res.json({ recordings: [], enabled: false });
+// Group catalog entries by device and recording session; a segmented
+// recording is one session made of consecutive segment files
+function groupRecordings(recordings) {
+  const groups = new Map();
+
+  for (const rec of recordings) {
+    if (!groups.has(rec.sessionId)) {
+      groups.set(rec.sessionId, {
+        sessionId: rec.sessionId,
+        deviceName: rec.deviceName,
+        segmented: rec.segment !== null,
+        size: 0,
+        segments: []
+      });
+    }
+
+    const group = groups.get(rec.sessionId);
+    group.size += rec.size || 0;
+    group.segments.push({
+      name: rec.name,
+      index: rec.segment || 0,
+      size: rec.size,
+      start: rec.startedAt,
+      end: rec.endedAt
+    });
   }
-  
+
+  return Array.from(groups.values())
+    .map(group => {
+      group.segments.sort((a, b) => a.index - b.index);
+      group.start = group.segments[0].start;
+      group.end = group.segments[group.segments.length - 1].end;
+      return group;
+    })
+    .sort((a, b) => new Date(b.start) - new Date(a.start));
+}
+
+// Parse a non-negative number query parameter, or return the fallback
+function numberParam(value, fallback = null) {
+  const number = parseFloat(value);
+  return isNaN(number) || number < 0 ? fallback : number;
+}
+
+// Catalog filter from recordings list parameters
+function recordingFilter(params = {}) {
+  return {
+    device: params.device,
+    from: params.from,
+    to: params.to,
+    minDuration: numberParam(params.minDuration),
+    minSize: numberParam(params.minSize)
+  };
+}
+
+// API endpoint to list recordings, served from the recording catalog.
+// Query: device, from, to, minDuration (s), minSize (bytes), sort, order, page, pageSize
+app.get('/api/recordings', (req, res) => {
   try {
-    const files = fs.readdirSync(recordingsDir)
-      .filter(f => f.endsWith('.mp4') || f.endsWith('.webm') || f.endsWith('.mkv'))
-      .map(f => {
-        const filePath = path.join(recordingsDir, f);
-        const stats = fs.statSync(filePath);
-        return {
-          name: f,
-          size: stats.size,
-          created: stats.birthtime,
-          modified: stats.mtime
-        };
-      })
-      .sort((a, b) => b.modified - a.modified);
-    
     const recorder = require('./recorder');
+    const result = catalog.queryEntries({
+      ...recordingFilter(req.query),
+      sort: req.query.sort,
+      order: req.query.order,
+      page: Math.max(1, Math.floor(numberParam(req.query.page, 1))),
+      pageSize: Math.min(500, Math.max(1, Math.floor(numberParam(req.query.pageSize, 50))))
+    });
+    const recordings = result.items.map(entry => ({
+      ...entry,
+      created: entry.startedAt,
+      modified: entry.modified || entry.endedAt || entry.startedAt,
+      locked: retention.isLocked(entry.name)
+    }));
+    
     res.json({ 
-      recordings: files,
+      recordings,
+      total: result.total,
+      page: result.page,
+      pageSize: result.pageSize,
+      hasMore: result.hasMore,
+      devices: catalog.listDevices(),
+      groups: groupRecordings(recordings),
       enabled: recorder.isRecordingEnabled(),
-      active: recorder.getActiveRecordings()
+      active: recorder.getActiveRecordings(),
+      deviceStates: recorder.listDeviceStates(),
+      retention: retention.getRetentionStatus(),
+      rtpPorts: getPortPoolStatus()
     });
   } catch (error) {
     console.error('Error listing recordings:', error);
@@ -113,29 +194,417 @@ app.get('/api/recordings', (req, res) => {
   }
 });
 
-// API endpoint to delete a recording
-app.delete('/api/recordings/:filename', (req, res) => {
-  const recordingsDir = path.resolve(config.recording.directory);
+// API endpoint to rebuild the recording catalog from the files on disk
+app.post('/api/recordings/rebuild-catalog', async (req, res) => {
+  try {
+    const count = await catalog.rebuildCatalog();
+    res.json({ success: true, recordings: count });
+  } catch (error) {
+    console.error('Error rebuilding catalog:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Answer 400/404 unless :filename names an existing recording
+function requireRecording(req, res, next) {
   const filename = req.params.filename;
   
-  // Security: prevent directory traversal
-  if (filename.includes('..') || filename.includes('/') || filename.includes('\\')) {
+  // Security: prevent directory traversal, only allow video files
+  if (!storage.isValidFilename(filename)) {
     return res.status(400).json({ error: 'Invalid filename' });
   }
   
-  const filePath = path.join(recordingsDir, filename);
+  if (!storage.recordingExists(filename)) {
+    return res.status(404).json({ error: 'Recording not found' });
+  }
   
-  // Only allow deletion of video files
-  if (!filename.match(/\.(mp4|webm|mkv)$/i)) {
-    return res.status(400).json({ error: 'Invalid file type' });
+  next();
+}
+
+// Answer 503 when the endpoint needs FFmpeg and it is not installed
+function requireFfmpeg(req, res, next) {
+  const recorder = require('./recorder');
+  if (!recorder.isRecordingEnabled()) {
+    return res.status(503).json({ error: 'FFmpeg not available' });
+  }
+  next();
+}
+
+// API endpoints to lock/unlock a recording against retention pruning
+app.put('/api/recordings/:filename/lock', requireRecording, (req, res) => setRecordingLock(req, res, true));
+app.delete('/api/recordings/:filename/lock', requireRecording, (req, res) => setRecordingLock(req, res, false));
+
+function setRecordingLock(req, res, lock) {
+  const filename = req.params.filename;
+  retention.setLocked(filename, lock);
+  console.log(`${lock ? 'Locked' : 'Unlocked'} recording: ${filename}`);
+  res.json({ success: true, locked: lock });
+}
+
+class SelectionError extends Error {}
+
+// Filenames a bulk request applies to: { files: [...] } or everything
+// matching the list filter, { filter: { device, from, ... }, exclude: [...] }.
+// The dashboard's "select all" sends the filter, so recordings beyond the
+// pages it has loaded are included.
+function resolveSelection(body = {}) {
+  if (Array.isArray(body.files)) {
+    const files = Array.from(new Set(body.files));
+    const invalid = files.find(name => !storage.isValidFilename(name));
+    if (invalid !== undefined) {
+      throw new SelectionError(`Invalid filename: ${invalid}`);
+    }
+    return files.filter(name => storage.recordingExists(name));
   }
+
+  if (body.filter && typeof body.filter === 'object') {
+    // A filter value that can't be read would be ignored, widening the
+    // selection (up to every recording), so refuse it instead
+    for (const field of ['from', 'to']) {
+      const value = body.filter[field];
+      if (value !== undefined && value !== null && value !== '' && isNaN(Date.parse(value))) {
+        throw new SelectionError(`filter.${field} must be an ISO date`);
+      }
+    }
+    for (const field of ['minDuration', 'minSize']) {
+      const value = body.filter[field];
+      if (value !== undefined && value !== null && value !== '' && numberParam(value) === null) {
+        throw new SelectionError(`filter.${field} must be a number of at least 0`);
+      }
+    }
+
+    const exclude = new Set(Array.isArray(body.exclude) ? body.exclude : []);
+    return catalog.queryEntries({ ...recordingFilter(body.filter), page: 1, pageSize: Number.MAX_SAFE_INTEGER }).items
+      .map(entry => entry.name)
+      .filter(name => !exclude.has(name) && storage.recordingExists(name));
+  }
+
+  throw new SelectionError('Send files: [filename, ...] or filter: { device, from, to, minDuration, minSize }');
+}
+
+// Run a bulk request, answering 400 for a bad selection
+function bulkRoute(handler) {
+  return (req, res) => {
+    let files;
+    try {
+      // Zip downloads are posted as a form, so the browser saves the response
+      const body = req.is('application/json') ? req.body : JSON.parse(req.body?.selection || '{}');
+      files = resolveSelection(body);
+    } catch (error) {
+      if (error instanceof SelectionError || error instanceof SyntaxError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Error resolving recording selection:', error);
+      return res.status(500).json({ error: error.message });
+    }
+    handler(req, res, files);
+  };
+}
+
+// Files a bulk action leaves alone, with the reason
+function skipInProgress(files) {
+  const skipped = [];
+  const remaining = files.filter(name => {
+    if (catalog.getEntry(name)?.status !== 'recording') return true;
+    skipped.push({ name, reason: 'Recording in progress' });
+    return false;
+  });
+  return { remaining, skipped };
+}
+
+// API endpoint to delete many recordings. Recordings in progress, and locked
+// ones unless { includeLocked: true }, are skipped.
+app.post('/api/recordings/bulk/delete', bulkRoute((req, res, files) => {
+  const { remaining, skipped } = skipInProgress(files);
+  const deleted = [];
+
+  for (const name of remaining) {
+    if (retention.isLocked(name) && !req.body.includeLocked) {
+      skipped.push({ name, reason: 'Locked' });
+      continue;
+    }
+    try {
+      storage.deleteRecording(name);
+      deleted.push(name);
+    } catch (error) {
+      console.error(`Error deleting recording ${name}:`, error.message);
+      skipped.push({ name, reason: error.message });
+    }
+  }
+
+  console.log(`Deleted ${deleted.length} recordings${skipped.length ? ` (${skipped.length} skipped)` : ''}`);
+  res.json({ success: true, deleted, skipped });
+}));
+
+// API endpoints to lock/unlock many recordings against retention pruning
+app.post('/api/recordings/bulk/lock', bulkRoute((req, res, files) => setRecordingLocks(res, files, true)));
+app.post('/api/recordings/bulk/unlock', bulkRoute((req, res, files) => setRecordingLocks(res, files, false)));
+
+function setRecordingLocks(res, files, lock) {
+  retention.setLocked(files, lock);
+  console.log(`${lock ? 'Locked' : 'Unlocked'} ${files.length} recordings`);
+  res.json({ success: true, locked: lock, files });
+}
+
+// API endpoint to download many recordings as one zip, streamed as it is
+// built. Send the selection as JSON, or as a form field "selection" holding
+// the JSON so a plain form post downloads it. Recordings in progress are left out.
+app.post('/api/recordings/bulk/download', express.urlencoded({ extended: false }), bulkRoute((req, res, files) => {
+  const { remaining } = skipInProgress(files);
+  if (remaining.length === 0) {
+    return res.status(400).json({ error: 'No finished recordings selected' });
+  }
+
+  const zipName = `recordings_${new Date().toISOString().replace(/[:.]/g, '-')}.zip`;
+  let archive;
+  try {
+    archive = zip.createZipStream(remaining.map(name => {
+      const filepath = storage.getRecordingPath(name);
+      return {
+        name,
+        size: encryption.getPlainSize(filepath),
+        mtime: fs.statSync(filepath).mtime,
+        open: () => encryption.createReadStream(filepath)
+      };
+    }));
+  } catch (error) {
+    console.error('Error preparing zip download:', error);
+    return res.status(500).json({ error: error.message });
+  }
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${zipName}"`);
+  archive.on('error', (error) => {
+    // Headers are gone; cutting the connection makes the download fail visibly
+    console.error(`Zip download failed: ${error.message}`);
+    res.destroy(error);
+  });
+  archive.pipe(res);
+}));
+
+// API endpoint to get a recording's poster thumbnail (?type=sprite for the sprite sheet)
+app.get('/api/recordings/:filename/thumbnail', requireRecording, requireFfmpeg, async (req, res) => {
+  const filename = req.params.filename;
   
   try {
-    if (!fs.existsSync(filePath)) {
-      return res.status(404).json({ error: 'Recording not found' });
+    const type = req.query.type === 'sprite' ? 'sprite' : 'poster';
+    const thumbnailPath = await thumbnails.getThumbnail(filename, type);
+    encryption.sendFile(req, res, thumbnailPath, { headers: { 'Cache-Control': 'private, max-age=3600' } });
+  } catch (error) {
+    console.error(`Error generating thumbnail for ${filename}:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API endpoint to play a recording in the browser, remuxed or transcoded on
+// demand (?format=mp4|webm, default by codec; ?start=<seconds> to seek)
+app.get('/api/recordings/:filename/play', requireRecording, requireFfmpeg, async (req, res) => {
+  const filename = req.params.filename;
+  
+  try {
+    await playback.servePlayback(req, res, filename);
+  } catch (error) {
+    console.error(`Error preparing playback for ${filename}:`, error.message);
+    if (!res.headersSent) res.status(500).json({ error: error.message });
+  }
+});
+
+// API endpoint to export a clip: { start, end } offsets in seconds or
+// { startTime, endTime } wall-clock times, optional { accurate: true } to re-encode.
+// Runs in the background; poll GET /api/clips/:id for progress.
+app.post('/api/recordings/:filename/clips', requireRecording, requireFfmpeg, (req, res) => {
+  try {
+    const job = clips.createClip(req.params.filename, req.body || {});
+    res.status(202).json(job);
+  } catch (error) {
+    if (error instanceof clips.ClipError) {
+      return res.status(400).json({ error: error.message });
     }
-    
-    fs.unlinkSync(filePath);
+    console.error('Error exporting clip:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API endpoints for clip export progress
+app.get('/api/clips', (req, res) => {
+  res.json({ jobs: clips.listClipJobs() });
+});
+
+app.get('/api/clips/:id', (req, res) => {
+  const job = clips.getClipJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Clip job not found' });
+  }
+  res.json(job);
+});
+
+// API endpoint to render a timelapse: { device, from, to } with optional
+// { interval (seconds per frame), fps, width }. Runs in the background; poll
+// GET /api/timelapses/:id for progress.
+app.post('/api/timelapses', requireFfmpeg, (req, res) => {
+  try {
+    const job = timelapse.createTimelapse(req.body || {});
+    res.status(202).json(job);
+  } catch (error) {
+    if (error instanceof timelapse.TimelapseError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error starting timelapse:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/timelapses', (req, res) => {
+  res.json({ jobs: timelapse.listTimelapseJobs(), nightly: timelapse.listNightly() });
+});
+
+app.get('/api/timelapses/:id', (req, res) => {
+  const job = timelapse.getTimelapseJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Timelapse job not found' });
+  }
+  res.json(job);
+});
+
+// API endpoints for nightly timelapses of the previous day, per device:
+// { interval, fps, width }
+app.put('/api/timelapses/nightly/:deviceName', (req, res) => {
+  try {
+    res.json(timelapse.setNightly(req.params.deviceName, req.body || {}));
+  } catch (error) {
+    if (error instanceof timelapse.TimelapseError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error saving nightly timelapse:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/timelapses/nightly/:deviceName', (req, res) => {
+  res.json({ success: timelapse.removeNightly(req.params.deviceName) });
+});
+
+// API endpoints for operator bookmarks: a note on a device at a wall-clock
+// time. Listing query: device, from, to, q (text search), limit. Each bookmark
+// carries the recording and offset (seconds) it points into, if any.
+app.get('/api/bookmarks', (req, res) => {
+  res.json({
+    bookmarks: bookmarks.queryBookmarks({
+      device: req.query.device,
+      from: req.query.from,
+      to: req.query.to,
+      q: req.query.q,
+      limit: Math.min(1000, Math.max(1, Math.floor(numberParam(req.query.limit, 100))))
+    })
+  });
+});
+
+// { device (name) or deviceId, time (default now), note, snapshot: true to
+// attach a picture, taken in the background }
+app.post('/api/bookmarks', (req, res) => {
+  try {
+    res.status(201).json(bookmarks.addBookmark(req.body || {}));
+  } catch (error) {
+    if (error instanceof bookmarks.BookmarkError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error adding bookmark:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/bookmarks/:id', (req, res) => {
+  const bookmark = bookmarks.getBookmark(req.params.id);
+  if (!bookmark) {
+    return res.status(404).json({ error: 'Bookmark not found' });
+  }
+  res.json(bookmark);
+});
+
+// { note, time }
+app.put('/api/bookmarks/:id', (req, res) => {
+  try {
+    const { note, time } = req.body || {};
+    const bookmark = bookmarks.updateBookmark(req.params.id, { note, time });
+    if (!bookmark) {
+      return res.status(404).json({ error: 'Bookmark not found' });
+    }
+    res.json(bookmark);
+  } catch (error) {
+    if (error instanceof bookmarks.BookmarkError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error updating bookmark:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/bookmarks/:id', (req, res) => {
+  if (!bookmarks.removeBookmark(req.params.id)) {
+    return res.status(404).json({ error: 'Bookmark not found' });
+  }
+  res.json({ success: true });
+});
+
+app.get('/api/bookmarks/:id/snapshot.jpg', (req, res) => {
+  const snapshotPath = bookmarks.getBookmarkSnapshot(req.params.id);
+  if (!snapshotPath) {
+    return res.status(404).json({ error: 'Bookmark has no snapshot' });
+  }
+  encryption.sendFile(req, res, snapshotPath, { headers: { 'Cache-Control': 'private, max-age=3600' } });
+});
+
+// API endpoint to export recordings as a signed, tamper-evident bundle:
+// { files: [filename, ...], note }. Runs in the background; poll
+// GET /api/exports/:id, then download from GET /api/exports/:id/download.
+app.post('/api/exports', (req, res) => {
+  try {
+    const job = bundles.createBundle(req.body || {});
+    res.status(202).json(job);
+  } catch (error) {
+    if (error instanceof bundles.BundleError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error starting export:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/exports', (req, res) => {
+  res.json({ jobs: bundles.listBundleJobs() });
+});
+
+// The key export bundles are signed with, to hand to whoever verifies them
+app.get('/api/exports/public-key', (req, res) => {
+  const { publicKeyPem, fingerprint } = integrity.getSigningKey();
+  res.json({ publicKey: publicKeyPem, fingerprint, server: integrity.getServerIdentity() });
+});
+
+app.get('/api/exports/:id', (req, res) => {
+  const job = bundles.getBundleJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Export job not found' });
+  }
+  res.json(job);
+});
+
+app.get('/api/exports/:id/download', (req, res) => {
+  const bundlePath = bundles.getBundleFile(req.params.id);
+  if (!bundlePath) {
+    return res.status(404).json({ error: 'Export bundle not found or not ready' });
+  }
+  encryption.sendFile(req, res, bundlePath, {
+    contentType: 'application/x-tar',
+    headers: { 'Content-Disposition': `attachment; filename="${bundles.getBundleJob(req.params.id).bundle}"` }
+  });
+});
+
+// API endpoint to delete a recording
+app.delete('/api/recordings/:filename', requireRecording, (req, res) => {
+  const filename = req.params.filename;
+  
+  try {
+    storage.deleteRecording(filename);
     console.log(`Deleted recording: ${filename}`);
     res.json({ success: true, message: 'Recording deleted' });
   } catch (error) {
@@ -144,8 +613,160 @@ app.delete('/api/recordings/:filename', (req, res) => {
   }
 });
 
+// Live HLS for viewers without WebRTC (VLC, smart TVs, NVR software).
+// Started on the first playlist request, stopped once nobody is fetching it.
+app.get('/live/:deviceId/index.m3u8', requireFfmpeg, async (req, res) => {
+  const deviceId = req.params.deviceId;
+  
+  try {
+    const playlistPath = await hls.ensureLive(deviceId);
+    res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.sendFile(playlistPath);
+  } catch (error) {
+    if (error.message === 'Device has no active video') {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error(`Error starting HLS for ${deviceId}:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/live/:deviceId/:segment', (req, res) => {
+  const segmentPath = hls.getSegmentPath(req.params.deviceId, req.params.segment);
+  if (!segmentPath) {
+    return res.status(404).json({ error: 'Segment not found' });
+  }
+  res.setHeader('Content-Type', 'video/mp2t');
+  res.sendFile(segmentPath);
+});
+
+// API endpoint for a JPEG still of a live camera (?width=, ?quality=1-100)
+app.get('/api/devices/:deviceId/snapshot.jpg', requireFfmpeg, async (req, res) => {
+  const deviceId = req.params.deviceId;
+
+  try {
+    const { image, capturedAt } = await snapshots.getSnapshot(deviceId, req.query);
+    res.setHeader('Content-Type', 'image/jpeg');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Last-Modified', capturedAt.toUTCString());
+    res.send(image);
+  } catch (error) {
+    if (error instanceof snapshots.SnapshotError) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.message === 'Device has no active video') {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error(`Error taking snapshot of ${deviceId}:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API endpoints for per-device recording modes (continuous, motion, off)
+app.get('/api/recording-modes', (req, res) => {
+  res.json(recordingModes.listModes());
+});
+
+app.put('/api/recording-modes/:deviceName', (req, res) => {
+  try {
+    const mode = recordingModes.setMode(req.params.deviceName, req.body?.mode);
+    res.json({ success: true, deviceName: req.params.deviceName, mode });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// API endpoints for per-device recording profiles (copy, overlay)
+app.get('/api/recording-profiles', (req, res) => {
+  res.json(recordingModes.listProfiles());
+});
+
+app.put('/api/recording-profiles/:deviceName', (req, res) => {
+  try {
+    const profile = recordingModes.setProfile(req.params.deviceName, req.body?.profile);
+    res.json({ success: true, deviceName: req.params.deviceName, profile });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// API endpoints to record a streaming device on demand ("record now") and
+// stop it again, regardless of its recording mode and schedule
+app.get('/api/devices/:deviceId/recording', (req, res) => {
+  const recorder = require('./recorder');
+  res.json(recorder.getDeviceState(req.params.deviceId));
+});
+
+app.post('/api/devices/:deviceId/recording', requireFfmpeg, async (req, res) => {
+  const recorder = require('./recorder');
+  const deviceId = req.params.deviceId;
+
+  try {
+    const result = await recordingModes.startManualRecording(deviceId);
+    const state = recorder.getDeviceState(deviceId);
+    if (!result) {
+      return res.status(500).json({ error: state.error || 'Recording did not start', ...state });
+    }
+    res.json({ success: true, ...state });
+  } catch (error) {
+    if (error instanceof recordingModes.RecordingControlError) {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error(`Error starting recording for ${deviceId}:`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/devices/:deviceId/recording', (req, res) => {
+  const recorder = require('./recorder');
+  const result = recordingModes.stopManualRecording(req.params.deviceId);
+  res.json({ success: true, stopped: result, ...recorder.getDeviceState(req.params.deviceId) });
+});
+
+// API endpoints for weekly recording schedules. PUT replaces all schedules
+// and groups: { groups: { name: [devices] }, schedules: [{ name, enabled,
+// devices, groups, windows: [{ days, start, end }] }] }
+app.get('/api/schedules', (req, res) => {
+  res.json({ ...schedules.getSchedules(), status: schedules.getScheduleStatus() });
+});
+
+app.put('/api/schedules', (req, res) => {
+  try {
+    const result = schedules.setSchedules(req.body || {});
+    res.json({ ...result, status: schedules.getScheduleStatus() });
+  } catch (error) {
+    if (error instanceof schedules.ScheduleError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error saving schedules:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API endpoint for detected events, newest first. Query: type, device, from, to, limit
+app.get('/api/events', (req, res) => {
+  try {
+    res.json({
+      events: events.queryEvents({
+        type: req.query.type,
+        device: req.query.device,
+        from: req.query.from,
+        to: req.query.to,
+        limit: Math.min(1000, Math.max(1, Math.floor(numberParam(req.query.limit, 100))))
+      }),
+      motion: motion.getMotionStatus()
+    });
+  } catch (error) {
+    console.error('Error listing events:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Serve recordings
-app.use('/recordings', express.static(path.join(__dirname, 'recordings')));
+app.get('/recordings/:filename', requireRecording, (req, res) => {
+  encryption.sendFile(req, res, storage.getRecordingPath(req.params.filename));
+});
 
 async function start() {
   try {
@@ -156,6 +777,31 @@ async function start() {
       console.log(`Created recordings directory: ${recordingsDir}`);
     }
     
+    // Refuse to start with encryption on but no usable key
+    encryption.checkConfig();
+    
+    // Load the recording catalog and sync it with the files on disk
+    catalog.reconcileCatalog();
+    events.compactEvents();
+    bookmarks.compactBookmarks();
+    bundles.removeStaleBundles();
+    
+    // Repair recordings the previous run didn't finish writing, and encrypt
+    // ones it didn't get to encrypt (in the background)
+    repair.repairRecordings().catch((error) => {
+      console.error('Failed to repair recordings:', error);
+    });
+    storage.encryptPendingRecordings().catch((error) => {
+      console.error('Failed to encrypt recordings:', error);
+    });
+    
+    // Start pruning old recordings
+    retention.startRetention();
+    
+    // Start/stop recordings at schedule window boundaries
+    schedules.startScheduler();
+    timelapse.startNightlyTimelapses();
+    
     // Initialize mediasoup
     const { worker, router } = await initializeMediasoup();
     console.log('Mediasoup initialized');
@@ -202,13 +848,26 @@ async function start() {
       console.log('----------------------------------------\n');
     });
     
-    // Handle graceful shutdown
-    process.on('SIGINT', async () => {
-      console.log('\nShutting down server...');
-      worker.close();
+    // Handle graceful shutdown: recordings are finalized before the process
+    // exits, for at most recording.shutdownTimeoutSeconds. A second signal
+    // exits right away.
+    let shuttingDown = false;
+    const shutdown = async (signal) => {
+      if (shuttingDown) {
+        console.warn(`⚠️  ${signal} again, exiting without waiting for recordings`);
+        process.exit(1);
+      }
+      shuttingDown = true;
+      console.log(`\nShutting down server (${signal})...`);
       server.close();
-      process.exit(0);
-    });
+      hls.stopAllLive();
+      motion.stopAllAnalysis();
+      const finalized = await require('./recorder').stopAllRecordings();
+      worker.close();
+      process.exit(finalized ? 0 : 1);
+    };
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
     
   } catch (error) {
     console.error('Failed to start server:', error);
@@ -0,0 +1,142 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const config = require('./config');
+const encryption = require('./encryption');
+const { version } = require('../package.json');
+
+// SHA-256 of every finished recording, clip and timelapse, keyed by filename.
+// Persisted as JSON lines next to the catalog. Unlike the catalog it is only
+// ever appended to, so the hash taken when a file was finalized survives
+// catalog rebuilds and deletions and can prove later exports are unaltered.
+const hashes = new Map();
+let loaded = false;
+let signingKey = null;
+
+function getHashesPath() {
+  return path.join(path.resolve(config.recording.directory), 'hashes.jsonl');
+}
+
+function load() {
+  if (loaded) return;
+  loaded = true;
+
+  const hashesPath = getHashesPath();
+  if (!fs.existsSync(hashesPath)) return;
+
+  const lines = fs.readFileSync(hashesPath, 'utf8').split('\n');
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      const record = JSON.parse(line);
+      hashes.set(record.name, record);
+    } catch (e) {
+      console.warn(`Hashes: skipping unreadable line in ${hashesPath}`);
+    }
+  }
+}
+
+function append(record) {
+  const recordingsDir = path.resolve(config.recording.directory);
+  if (!fs.existsSync(recordingsDir)) {
+    fs.mkdirSync(recordingsDir, { recursive: true });
+  }
+
+  try {
+    fs.appendFileSync(getHashesPath(), JSON.stringify(record) + '\n');
+  } catch (error) {
+    console.error('Hashes: failed to write hash:', error.message);
+  }
+}
+
+// SHA-256 and size of a file's content (decrypted if it is encrypted at rest)
+async function hashFile(filepath) {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  for await (const chunk of encryption.createReadStream(filepath)) {
+    hash.update(chunk);
+    size += chunk.length;
+  }
+  return { sha256: hash.digest('hex'), size };
+}
+
+function recordHash(name, { sha256, size }) {
+  load();
+  const record = { name, sha256, size, hashedAt: new Date() };
+  hashes.set(name, record);
+  append(record);
+  return record;
+}
+
+// Hash a recording that has just been finalized. Never throws: a file that
+// can't be hashed is still kept, and is hashed at export time instead.
+async function hashRecording(filename) {
+  try {
+    return recordHash(filename, await hashFile(path.join(path.resolve(config.recording.directory), filename)));
+  } catch (error) {
+    console.error(`❌ Failed to hash ${filename}: ${error.message}`);
+    return null;
+  }
+}
+
+function getHash(name) {
+  load();
+  return hashes.get(name) || null;
+}
+
+function getSigningKeyPath() {
+  return path.resolve(__dirname, config.exports?.signingKeyPath || './certs/export-signing-key.pem');
+}
+
+// The server's Ed25519 export signing key, generated on first use. Only the
+// public half ever leaves the server.
+function getSigningKey() {
+  if (signingKey) return signingKey;
+
+  const keyPath = getSigningKeyPath();
+  let privateKey;
+  if (fs.existsSync(keyPath)) {
+    privateKey = crypto.createPrivateKey(fs.readFileSync(keyPath));
+  } else {
+    privateKey = crypto.generateKeyPairSync('ed25519').privateKey;
+    fs.mkdirSync(path.dirname(keyPath), { recursive: true });
+    fs.writeFileSync(keyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+    console.log(`✓ Export signing key created: ${keyPath}`);
+  }
+
+  const publicKey = crypto.createPublicKey(privateKey);
+  signingKey = {
+    privateKey,
+    publicKeyPem: publicKey.export({ type: 'spki', format: 'pem' }),
+    fingerprint: crypto.createHash('sha256').update(publicKey.export({ type: 'spki', format: 'der' })).digest('hex')
+  };
+  return signingKey;
+}
+
+// Detached Ed25519 signature of data, base64
+function sign(data) {
+  return crypto.sign(null, data, getSigningKey().privateKey).toString('base64');
+}
+
+// Who signed an export: recipients compare the fingerprint with the one
+// published by the server (GET /api/exports/public-key)
+function getServerIdentity() {
+  const { fingerprint } = getSigningKey();
+  return {
+    name: config.exports?.serverName || os.hostname(),
+    software: `lan-cctv ${version}`,
+    signatureAlgorithm: 'Ed25519',
+    publicKeyFingerprint: fingerprint
+  };
+}
+
+module.exports = {
+  hashFile,
+  recordHash,
+  hashRecording,
+  getHash,
+  getSigningKey,
+  sign,
+  getServerIdentity
+};
@@ -0,0 +1,286 @@
+const { spawn } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const EventEmitter = require('events');
+const config = require('./config');
+const events = require('./events');
+const { createRtpTrack, closeRtpTrack, buildSdp, waitForListeners } = require('./plain-rtp');
+
+// Motion analyzers, keyed by the streaming client's id. Each one decodes the
+// device's video at a low frame rate into small grayscale frames and compares
+// consecutive frames.
+const analyzers = new Map();
+
+// Pending restarts of analyzers whose FFmpeg died, keyed by the streaming
+// client's id: { failures, timer }
+const restarts = new Map();
+const RESTART_INITIAL_DELAY_MS = 1000;
+const RESTART_MAX_DELAY_MS = 60000;
+// An analyzer that ran this long before dying starts a fresh failure count
+const RESTART_STABLE_MS = 60000;
+
+// Emits 'motion-start' and 'motion-end' with the stored event
+const emitter = new EventEmitter();
+
+function getOptions() {
+  const motion = config.motion || {};
+  return {
+    enabled: motion.enabled !== false,
+    fps: motion.fps || 2,
+    width: motion.width || 64,
+    height: motion.height || 36,
+    pixelThreshold: motion.pixelThreshold || 25,
+    threshold: motion.threshold || 0.02,
+    minFrames: motion.minFrames || 2,
+    cooldownSeconds: motion.cooldownSeconds ?? 5
+  };
+}
+
+// Fraction of pixels whose brightness changed by more than pixelThreshold
+function frameDifference(previous, current, pixelThreshold) {
+  let changed = 0;
+  for (let i = 0; i < current.length; i++) {
+    if (Math.abs(current[i] - previous[i]) > pixelThreshold) changed++;
+  }
+  return changed / current.length;
+}
+
+async function startAnalysis(producerId, deviceName) {
+  const options = getOptions();
+  if (!options.enabled || !require('./recorder').isRecordingEnabled()) return null;
+
+  const mediasoupModule = require('./mediasoup');
+  const producerData = mediasoupModule.producers.get(producerId);
+  if (!producerData || producerData.kind !== 'video') return null;
+
+  const deviceId = producerData.clientId;
+  if (analyzers.has(deviceId)) return analyzers.get(deviceId);
+
+  const analyzer = {
+    deviceId,
+    deviceName,
+    producerId,
+    track: null,
+    ffmpeg: null,
+    sdpPath: path.join(os.tmpdir(), `lan-cctv-motion-${deviceId}.sdp`),
+    previousFrame: null,
+    aboveCount: 0,
+    score: 0,
+    event: null,
+    lastMotionAt: null,
+    lastFrameAt: null,
+    startedAt: null,
+    watchdog: null
+  };
+  analyzers.set(deviceId, analyzer);
+
+  try {
+    analyzer.track = await createRtpTrack(mediasoupModule.router, producerData.producer);
+    fs.writeFileSync(analyzer.sdpPath, buildSdp([analyzer.track]));
+  } catch (error) {
+    console.error(`Motion detection failed to start for ${deviceName}: ${error.message}`);
+    scheduleRestart(analyzer, error.message);
+    return null;
+  }
+
+  const frameSize = options.width * options.height;
+  const ffmpeg = spawn('ffmpeg', [
+    '-hide_banner',
+    '-loglevel', 'error',
+    '-protocol_whitelist', 'file,udp,rtp',
+    '-fflags', '+discardcorrupt',
+    '-i', analyzer.sdpPath,
+    '-map', '0:v',
+    '-vf', `fps=${options.fps},scale=${options.width}:${options.height},format=gray`,
+    '-f', 'rawvideo',
+    'pipe:1'
+  ], { stdio: ['ignore', 'pipe', 'pipe'] });
+  analyzer.ffmpeg = ffmpeg;
+
+  // stdout is a stream of fixed-size grayscale frames
+  let pending = Buffer.alloc(0);
+  ffmpeg.stdout.on('data', (data) => {
+    pending = Buffer.concat([pending, data]);
+    while (pending.length >= frameSize) {
+      const frame = pending.subarray(0, frameSize);
+      pending = pending.subarray(frameSize);
+      handleFrame(analyzer, Buffer.from(frame), options);
+    }
+  });
+
+  ffmpeg.stderr.on('data', (data) => {
+    console.error(`Motion FFmpeg ${deviceName}: ${data.toString().trim()}`);
+  });
+  ffmpeg.on('error', (error) => {
+    console.error(`Motion FFmpeg spawn error for ${deviceName}: ${error.message}`);
+  });
+  ffmpeg.on('close', (code) => {
+    if (analyzers.get(deviceId) === analyzer) {
+      console.log(`Motion detection stopped for ${deviceName} (exit: ${code})`);
+      scheduleRestart(analyzer, `FFmpeg exited with code ${code}`);
+    }
+  });
+
+  analyzer.track.consumer.on('producerclose', () => stopAnalysis(deviceId));
+
+  // Wait for FFmpeg to start listening, then let RTP flow
+  try {
+    await waitForListeners(ffmpeg, [analyzer.track]);
+  } catch (error) {
+    if (analyzers.get(deviceId) === analyzer) {
+      console.error(`Motion detection failed to start for ${deviceName}: ${error.message}`);
+      scheduleRestart(analyzer, error.message);
+    }
+    return null;
+  }
+  if (analyzers.get(deviceId) !== analyzer) return null;
+
+  await analyzer.track.consumer.resume();
+  await analyzer.track.consumer.requestKeyFrame();
+
+  // The decoder can't start (or recover from loss) without a keyframe
+  analyzer.watchdog = setInterval(() => {
+    if (!analyzer.lastFrameAt || Date.now() - analyzer.lastFrameAt > 5000) {
+      analyzer.track.consumer.requestKeyFrame().catch(() => {});
+    }
+    endMotionIfQuiet(analyzer, options);
+  }, 2000);
+
+  analyzer.startedAt = Date.now();
+  console.log(`✓ Motion detection started for ${deviceName}`);
+  return analyzer;
+}
+
+// The analyzer died while its device may still be streaming: start it again
+// with exponential backoff, for as long as the producer is there, so motion
+// mode keeps recording
+function scheduleRestart(analyzer, reason) {
+  const { deviceId, deviceName, producerId } = analyzer;
+  const previous = restarts.get(deviceId);
+  stopAnalysis(deviceId);
+
+  const stable = analyzer.startedAt && Date.now() - analyzer.startedAt >= RESTART_STABLE_MS;
+  const failures = stable ? 1 : (previous?.failures || 0) + 1;
+  const delay = Math.min(RESTART_MAX_DELAY_MS, RESTART_INITIAL_DELAY_MS * 2 ** (failures - 1));
+  console.warn(`⚠️  Motion detection for ${deviceName} stopped (${reason}), restarting in ${delay}ms`);
+
+  const restart = { failures, timer: null };
+  restart.timer = setTimeout(() => {
+    restart.timer = null;
+    if (!require('./mediasoup').producers.has(producerId)) {
+      restarts.delete(deviceId);
+      return;
+    }
+    startAnalysis(producerId, deviceName).catch((error) => {
+      console.error(`Failed to restart motion detection for ${deviceName}:`, error);
+    });
+  }, delay);
+  restarts.set(deviceId, restart);
+}
+
+function handleFrame(analyzer, frame, options) {
+  const now = Date.now();
+  analyzer.lastFrameAt = now;
+
+  const previous = analyzer.previousFrame;
+  analyzer.previousFrame = frame;
+  if (!previous) return;
+
+  const score = frameDifference(previous, frame, options.pixelThreshold);
+  analyzer.score = score;
+
+  if (score < options.threshold) {
+    analyzer.aboveCount = 0;
+    endMotionIfQuiet(analyzer, options);
+    return;
+  }
+
+  analyzer.aboveCount++;
+  analyzer.lastMotionAt = now;
+
+  if (analyzer.event) {
+    analyzer.event.peakIntensity = Math.max(analyzer.event.peakIntensity, round(score));
+  } else if (analyzer.aboveCount >= options.minFrames) {
+    analyzer.event = events.addEvent({
+      type: 'motion',
+      deviceId: analyzer.deviceId,
+      deviceName: analyzer.deviceName,
+      startedAt: new Date(now),
+      endedAt: null,
+      intensity: round(score),
+      peakIntensity: round(score)
+    });
+    console.log(`Motion started on ${analyzer.deviceName} (intensity ${round(score)})`);
+    emitter.emit('motion-start', analyzer.event);
+  }
+}
+
+// Motion ends once no frame has crossed the threshold for cooldownSeconds
+function endMotionIfQuiet(analyzer, options, force = false) {
+  if (!analyzer.event) return;
+  if (!force && Date.now() - analyzer.lastMotionAt < options.cooldownSeconds * 1000) return;
+
+  const startedAt = new Date(analyzer.event.startedAt);
+  const endedAt = new Date(Math.max(analyzer.lastMotionAt, startedAt.getTime()));
+  const event = events.updateEvent(analyzer.event.id, {
+    endedAt,
+    duration: (endedAt - startedAt) / 1000,
+    peakIntensity: analyzer.event.peakIntensity
+  });
+  analyzer.event = null;
+
+  console.log(`Motion ended on ${analyzer.deviceName} (${event.duration.toFixed(1)}s, peak ${event.peakIntensity})`);
+  emitter.emit('motion-end', event);
+}
+
+function round(score) {
+  return Math.round(score * 1000) / 1000;
+}
+
+function stopAnalysis(deviceId) {
+  clearTimeout(restarts.get(deviceId)?.timer);
+  restarts.delete(deviceId);
+
+  const analyzer = analyzers.get(deviceId);
+  if (!analyzer) return;
+  analyzers.delete(deviceId);
+
+  clearInterval(analyzer.watchdog);
+  endMotionIfQuiet(analyzer, getOptions(), true);
+
+  if (analyzer.track) closeRtpTrack(analyzer.track);
+  if (analyzer.ffmpeg && analyzer.ffmpeg.exitCode === null) {
+    try { analyzer.ffmpeg.kill('SIGKILL'); } catch (e) {}
+  }
+  try { if (fs.existsSync(analyzer.sdpPath)) fs.unlinkSync(analyzer.sdpPath); } catch (e) {}
+}
+
+function stopAllAnalysis() {
+  for (const deviceId of new Set([...analyzers.keys(), ...restarts.keys()])) {
+    stopAnalysis(deviceId);
+  }
+}
+
+function isMotionActive(deviceId) {
+  return !!analyzers.get(deviceId)?.event;
+}
+
+function getMotionStatus() {
+  return Array.from(analyzers.values()).map(analyzer => ({
+    deviceId: analyzer.deviceId,
+    deviceName: analyzer.deviceName,
+    score: round(analyzer.score),
+    motion: !!analyzer.event,
+    eventId: analyzer.event?.id || null
+  }));
+}
+
+module.exports = {
+  startAnalysis,
+  stopAnalysis,
+  stopAllAnalysis,
+  isMotionActive,
+  getMotionStatus,
+  emitter
+};
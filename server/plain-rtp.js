@@ -0,0 +1,223 @@
+// Plumbing shared by everything that feeds a mediasoup producer into FFmpeg:
+// a PlainTransport consumer sending RTP to a local port pair, and the SDP
+// FFmpeg reads those streams from.
+
+const dgram = require('dgram');
+const fs = require('fs');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const config = require('./config');
+
+// RTP ports handed out and not yet released. Each allocation is an even RTP
+// port and the odd RTCP port after it.
+const allocatedPorts = new Set();
+let nextRtpPort = null;
+
+class PortPoolError extends Error {}
+
+function getPortRange() {
+  const range = config.mediasoup.plainRtpTransport?.portRange || {};
+  const min = range.min ?? 20000;
+  return { min: min + (min % 2), max: range.max ?? 30000 };
+}
+
+// Whether nothing on this machine is bound to the port
+function isPortFree(port) {
+  return new Promise(resolve => {
+    const socket = dgram.createSocket('udp4');
+    socket.once('error', () => resolve(false));
+    socket.bind(port, () => socket.close(() => resolve(true)));
+  });
+}
+
+// Reserve a free RTP/RTCP port pair from the pool. Ports another process (or
+// an FFmpeg that hasn't exited yet) holds are skipped.
+async function allocatePortPair() {
+  const { min, max } = getPortRange();
+  const pairs = Math.floor((max - min + 1) / 2);
+  if (nextRtpPort === null || nextRtpPort < min || nextRtpPort + 1 > max) nextRtpPort = min;
+
+  let busy = 0;
+  for (let i = 0; i < pairs; i++) {
+    const port = nextRtpPort;
+    nextRtpPort = port + 3 > max ? min : port + 2;
+    if (allocatedPorts.has(port)) continue;
+
+    // Claim it before probing so concurrent allocations don't race for it
+    allocatedPorts.add(port);
+    if (await isPortFree(port) && await isPortFree(port + 1)) {
+      return port;
+    }
+    allocatedPorts.delete(port);
+    busy++;
+  }
+
+  const message = `No free RTP port pair in ${min}-${max} ` +
+    `(${allocatedPorts.size} allocated, ${busy} in use by other processes). ` +
+    'Widen mediasoup.plainRtpTransport.portRange in config.js';
+  console.error(`❌ ${message}`);
+  throw new PortPoolError(message);
+}
+
+function releasePortPair(rtpPort) {
+  allocatedPorts.delete(rtpPort);
+}
+
+// Give a track's ports back to the pool, once
+function releaseTrackPorts(track) {
+  if (track.portsReleased || !track.rtpPort) return;
+  track.portsReleased = true;
+  releasePortPair(track.rtpPort);
+}
+
+function getPortPoolStatus() {
+  const { min, max } = getPortRange();
+  return { min, max, capacity: Math.floor((max - min + 1) / 2), allocated: allocatedPorts.size };
+}
+
+// Connect a paused PlainTransport consumer for one producer to a local FFmpeg port pair
+async function createRtpTrack(router, producer) {
+  const rtpPort = await allocatePortPair();
+  const rtcpPort = rtpPort + 1;
+
+  let plainTransport;
+  try {
+    // comedia: false - we send TO FFmpeg, so the remote address is set explicitly with connect()
+    plainTransport = await router.createPlainTransport({
+      listenIp: { ip: '127.0.0.1', announcedIp: null },
+      rtcpMux: false, // Separate RTP and RTCP ports
+      comedia: false
+    });
+  } catch (error) {
+    releasePortPair(rtpPort);
+    throw error;
+  }
+
+  try {
+    // Create consumer BEFORE connecting (to get actual RTP params)
+    const consumer = await plainTransport.consume({
+      producerId: producer.id,
+      rtpCapabilities: router.rtpCapabilities,
+      paused: true // Start paused, resume after FFmpeg is ready
+    });
+
+    await plainTransport.connect({
+      ip: '127.0.0.1',
+      port: rtpPort,
+      rtcpPort: rtcpPort
+    });
+
+    const codec = consumer.rtpParameters.codecs[0];
+
+    return {
+      kind: producer.kind,
+      producerId: producer.id,
+      plainTransport,
+      consumer,
+      rtpPort,
+      rtcpPort,
+      codecName: codec.mimeType.split('/')[1].toUpperCase(),
+      payloadType: codec.payloadType,
+      clockRate: codec.clockRate,
+      channels: codec.channels,
+      ssrc: consumer.rtpParameters.encodings[0].ssrc
+    };
+  } catch (error) {
+    plainTransport.close();
+    releasePortPair(rtpPort);
+    throw error;
+  }
+}
+
+// Close a track's consumer and transport and release its ports
+function closeRtpTrack(track) {
+  try {
+    if (track.consumer && !track.consumer.closed) track.consumer.close();
+  } catch (e) {}
+  try {
+    if (track.plainTransport && !track.plainTransport.closed) track.plainTransport.close();
+  } catch (e) {}
+  releaseTrackPorts(track);
+}
+
+// Build the SDP FFmpeg reads the RTP streams from, one m= line per track
+function buildSdp(tracks) {
+  let sdp = `v=0
+o=- 0 0 IN IP4 127.0.0.1
+s=MediaSoup RTP
+c=IN IP4 127.0.0.1
+t=0 0
+`;
+
+  for (const track of tracks) {
+    const channels = track.channels ? `/${track.channels}` : '';
+    sdp += `m=${track.kind} ${track.rtpPort} RTP/AVP ${track.payloadType}
+a=rtcp:${track.rtcpPort}
+a=rtpmap:${track.payloadType} ${track.codecName}/${track.clockRate}${channels}
+a=ssrc:${track.ssrc} cname:mediasoup
+a=recvonly
+`;
+  }
+
+  return sdp;
+}
+
+// Local UDP ports (of the given ones) something is bound to. Read from
+// /proc on Linux; elsewhere each port is probed by trying to bind it.
+async function findBoundPorts(ports) {
+  const bound = new Set();
+
+  if (fs.existsSync('/proc/net/udp')) {
+    for (const file of ['/proc/net/udp', '/proc/net/udp6']) {
+      if (!fs.existsSync(file)) continue;
+      for (const line of fs.readFileSync(file, 'utf8').split('\n').slice(1)) {
+        const local = line.trim().split(/\s+/)[1];
+        if (local) bound.add(parseInt(local.split(':').pop(), 16));
+      }
+    }
+    return new Set(ports.filter(port => bound.has(port)));
+  }
+
+  for (const port of ports) {
+    const inUse = await new Promise(resolve => {
+      const socket = dgram.createSocket('udp4');
+      socket.once('error', () => resolve(true));
+      socket.bind(port, '127.0.0.1', () => socket.close(() => resolve(false)));
+    });
+    if (inUse) bound.add(port);
+  }
+  return bound;
+}
+
+// Wait until FFmpeg listens on every track's RTP and RTCP port, so nothing
+// (in particular the keyframe requested on resume) is sent before it can be
+// received. Rejects if FFmpeg exits or doesn't listen within timeoutMs.
+async function waitForListeners(ffmpeg, tracks, timeoutMs = 5000) {
+  const ports = tracks.flatMap(track => [track.rtpPort, track.rtcpPort]);
+  const deadline = Date.now() + timeoutMs;
+
+  for (;;) {
+    if (ffmpeg.exitCode !== null) {
+      throw new Error(`FFmpeg exited with code ${ffmpeg.exitCode} before listening`);
+    }
+    const bound = await findBoundPorts(ports);
+    if (bound.size === ports.length) return;
+    if (Date.now() > deadline) {
+      throw new Error(`FFmpeg not listening on ports ${ports.join(', ')} after ${timeoutMs}ms`);
+    }
+    await sleep(50);
+  }
+}
+
+module.exports = {
+  allocatePortPair,
+  releasePortPair,
+  releaseTrackPorts,
+  getPortPoolStatus,
+  PortPoolError,
+  createRtpTrack,
+  closeRtpTrack,
+  buildSdp,
+  waitForListeners
+};
@@ -0,0 +1,195 @@
+const { spawn } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+const config = require('./config');
+const catalog = require('./catalog');
+const encryption = require('./encryption');
+const { runFfmpeg } = require('./ffmpeg');
+
+// Browser-friendly output formats. Streams already in a supported codec are
+// copied; anything else is transcoded.
+const FORMATS = {
+  mp4: {
+    contentType: 'video/mp4',
+    videoCopy: ['H264'],
+    videoEncode: ['-c:v', 'libx264', '-preset', 'veryfast', '-crf', '23', '-pix_fmt', 'yuv420p'],
+    // AAC rather than Opus so Safari/iOS can play it
+    audioCopy: ['AAC'],
+    audioEncode: ['-c:a', 'aac', '-b:a', '128k']
+  },
+  webm: {
+    contentType: 'video/webm',
+    videoCopy: ['VP8', 'VP9'],
+    videoEncode: ['-c:v', 'libvpx', '-deadline', 'realtime', '-cpu-used', '8', '-b:v', '1M'],
+    audioCopy: ['OPUS'],
+    audioEncode: ['-c:a', 'libopus', '-b:a', '96k']
+  }
+};
+
+// Cache conversions in progress, keyed by cache path
+const inFlight = new Map();
+
+function getPlaybackDir() {
+  return path.join(path.resolve(config.recording.directory), 'playback');
+}
+
+function getCachePath(filename, format) {
+  return path.join(getPlaybackDir(), `${filename}.${format}`);
+}
+
+// Without ?format, the one the recording's video can be copied into (WebM for
+// VP8/VP9, MP4 for H.264): remuxing is quick, so the cached file with Range
+// support is there on the first request. MP4 for anything else.
+function getFormat(name, entry) {
+  if (FORMATS[name]) return name;
+  const video = entry?.codecs?.video;
+  return Object.keys(FORMATS).find(format => FORMATS[format].videoCopy.includes(video)) || 'mp4';
+}
+
+function codecArgs(filename, format) {
+  const profile = FORMATS[format];
+  const codecs = catalog.getEntry(filename)?.codecs || {};
+  const copyVideo = profile.videoCopy.includes(codecs.video);
+  const copyAudio = profile.audioCopy.includes(codecs.audio);
+
+  return {
+    args: [
+      '-map', '0:v?',
+      '-map', '0:a?',
+      ...(copyVideo ? ['-c:v', 'copy'] : profile.videoEncode),
+      ...(copyAudio ? ['-c:a', 'copy'] : profile.audioEncode)
+    ],
+    // Remuxing (and audio-only transcoding) is quick enough to wait for
+    transcodesVideo: !copyVideo
+  };
+}
+
+// Convert a finished recording into the playback cache. Regular MP4 with the
+// index up front, so the cached file supports Range requests and seeking.
+function convertToCache(filename, format) {
+  const cachePath = getCachePath(filename, format);
+  if (inFlight.has(cachePath)) return inFlight.get(cachePath);
+
+  const tmpPath = `${cachePath}.tmp`;
+  const promise = (async () => {
+    fs.mkdirSync(getPlaybackDir(), { recursive: true });
+    try {
+      await runFfmpeg([
+        '-y',
+        '-i', await encryption.inputPath(path.join(path.resolve(config.recording.directory), filename)),
+        ...codecArgs(filename, format).args,
+        ...(format === 'mp4' ? ['-movflags', '+faststart', '-f', 'mp4'] : ['-f', 'webm']),
+        tmpPath
+      ]);
+      // A decrypted copy of an encrypted recording must not sit in the cache in the clear
+      await encryption.encryptFile(tmpPath);
+      fs.renameSync(tmpPath, cachePath);
+      console.log(`Playback cache ready: ${path.basename(cachePath)}`);
+      return cachePath;
+    } finally {
+      try { if (fs.existsSync(tmpPath)) fs.unlinkSync(tmpPath); } catch (e) {}
+    }
+  })();
+
+  inFlight.set(cachePath, promise);
+  promise.finally(() => inFlight.delete(cachePath)).catch(() => {});
+  return promise;
+}
+
+// Stream a conversion straight to the response as fragmented MP4 (or WebM).
+// Used for files still being written (follow mode), for seeking via ?start=
+// and while a transcoded cache file is being built.
+async function streamConversion(req, res, filename, format, { start = 0, follow = false } = {}) {
+  const profile = FORMATS[format];
+  const input = await encryption.inputPath(path.join(path.resolve(config.recording.directory), filename));
+  const args = [
+    '-hide_banner',
+    '-loglevel', 'error',
+    // Keep reading as the recorder appends; give up after 10s without new data
+    ...(follow ? ['-follow', '1', '-rw_timeout', '10000000'] : []),
+    ...(start > 0 ? ['-ss', String(start)] : []),
+    '-i', input,
+    ...codecArgs(filename, format).args,
+    ...(format === 'mp4'
+      ? ['-movflags', '+frag_keyframe+empty_moov+default_base_moof', '-f', 'mp4']
+      : ['-f', 'webm']),
+    'pipe:1'
+  ];
+
+  const ffmpeg = spawn('ffmpeg', args, { stdio: ['ignore', 'pipe', 'pipe'] });
+
+  res.status(200);
+  res.setHeader('Content-Type', profile.contentType);
+  res.setHeader('Accept-Ranges', 'none');
+  res.setHeader('Cache-Control', 'no-store');
+  ffmpeg.stdout.pipe(res);
+
+  ffmpeg.stderr.on('data', (data) => {
+    console.error(`Playback FFmpeg ${filename}: ${data.toString().trim()}`);
+  });
+  ffmpeg.on('error', (error) => {
+    console.error(`Playback FFmpeg spawn error for ${filename}: ${error.message}`);
+    if (!res.headersSent) res.status(500);
+    res.end();
+  });
+
+  // Stop converting when the viewer goes away
+  req.on('close', () => {
+    if (ffmpeg.exitCode === null) ffmpeg.kill('SIGKILL');
+  });
+}
+
+// GET handler body: ?format=mp4|webm, ?start=<seconds>
+async function servePlayback(req, res, filename) {
+  const entry = catalog.getEntry(filename);
+  const format = getFormat(req.query.format, entry);
+  const start = Math.max(0, parseFloat(req.query.start) || 0);
+  const live = entry?.status === 'recording';
+
+  if (live || start > 0) {
+    return streamConversion(req, res, filename, format, { start, follow: live });
+  }
+
+  const cachePath = getCachePath(filename, format);
+  if (fs.existsSync(cachePath)) {
+    // Range requests are handled for us
+    return encryption.sendFile(req, res, cachePath, { contentType: FORMATS[format].contentType });
+  }
+
+  if (codecArgs(filename, format).transcodesVideo) {
+    const conversion = convertToCache(filename, format);
+
+    // Seeking: the stream has no byte ranges, so answer from the cache once
+    // it is built
+    const range = req.headers.range;
+    if (range && !range.startsWith('bytes=0-')) {
+      await conversion;
+      return encryption.sendFile(req, res, cachePath, { contentType: FORMATS[format].contentType });
+    }
+
+    // Transcoding can take a long time: stream now, cache for next time
+    conversion.catch((error) => {
+      console.error(`Playback cache failed for ${filename}: ${error.message}`);
+    });
+    return streamConversion(req, res, filename, format);
+  }
+
+  await convertToCache(filename, format);
+  encryption.sendFile(req, res, cachePath, { contentType: FORMATS[format].contentType });
+}
+
+function removePlaybackCache(filename) {
+  for (const format of Object.keys(FORMATS)) {
+    const cachePath = getCachePath(filename, format);
+    try {
+      if (fs.existsSync(cachePath)) fs.unlinkSync(cachePath);
+    } catch (error) {
+      console.error(`Failed to delete playback cache ${cachePath}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = {
+  servePlayback,
+  removePlaybackCache
+};
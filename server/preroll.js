@@ -0,0 +1,373 @@
+const dgram = require('dgram');
+const config = require('./config');
+const { createRtpTrack, closeRtpTrack, allocatePortPair, releasePortPair } = require('./plain-rtp');
+
+// RTP relays for devices in motion-triggered recording mode, keyed by the
+// streaming client's id. The device's producers are consumed into local UDP
+// sockets and the last few seconds of packets are kept in memory, so a
+// recording started by motion can begin with what happened just before it.
+const relays = new Map();
+
+// Same order as the recorder's SDP m= lines
+const TRACK_ORDER = ['video', 'audio'];
+
+// Replay the buffer to FFmpeg in small batches so its UDP socket keeps up
+const REPLAY_BATCH = 64;
+const REPLAY_INTERVAL_MS = 2;
+
+function getPreRollSeconds() {
+  return config.recording.motion?.preRollSeconds ?? 5;
+}
+
+// Offset of the payload in an RTP packet, -1 if the packet is malformed
+function rtpPayloadOffset(packet) {
+  if (packet.length < 12) return -1;
+  let offset = 12 + (packet[0] & 0x0f) * 4;
+  if (packet[0] & 0x10) {
+    if (packet.length < offset + 4) return -1;
+    offset += 4 + packet.readUInt16BE(offset + 2) * 4;
+  }
+  return offset < packet.length ? offset : -1;
+}
+
+// First packet of a VP8 keyframe (RFC 7741)
+function isVp8KeyframeStart(payload) {
+  const startOfPartition = payload[0] & 0x10;
+  if (!startOfPartition || (payload[0] & 0x07) !== 0) return false;
+
+  let offset = 1;
+  if (payload[0] & 0x80) {
+    const extension = payload[1];
+    offset = 2;
+    if (extension & 0x80) offset += (payload[offset] & 0x80) ? 2 : 1; // PictureID
+    if (extension & 0x40) offset += 1; // TL0PICIDX
+    if (extension & 0x30) offset += 1; // TID/KEYIDX
+  }
+  return offset < payload.length && (payload[offset] & 0x01) === 0;
+}
+
+// First packet of a VP9 keyframe (RFC 9628): the beginning of a frame (B)
+// that is not inter-picture predicted (P unset), in the base spatial layer
+function isVp9KeyframeStart(payload) {
+  const descriptor = payload[0];
+  if (!(descriptor & 0x08) || (descriptor & 0x40)) return false;
+
+  let offset = 1;
+  if (descriptor & 0x80) offset += (payload[offset] & 0x80) ? 2 : 1; // PictureID
+  if (descriptor & 0x20) {
+    // Layer indices: TID (3 bits) | U | SID (3 bits) | D
+    return offset < payload.length && ((payload[offset] >> 1) & 0x07) === 0;
+  }
+  return true;
+}
+
+// Packet carrying an SPS or the start of an IDR slice (RFC 6184)
+function isH264KeyframeStart(payload) {
+  const isKeyNal = (type) => type === 5 || type === 7;
+  const type = payload[0] & 0x1f;
+
+  if (type === 24) {
+    // STAP-A: several NAL units, each prefixed with its size
+    for (let offset = 1; offset + 2 < payload.length; offset += 2 + payload.readUInt16BE(offset)) {
+      if (isKeyNal(payload[offset + 2] & 0x1f)) return true;
+    }
+    return false;
+  }
+  if (type === 28) {
+    // FU-A: only the first fragment
+    return payload.length > 1 && (payload[1] & 0x80) !== 0 && isKeyNal(payload[1] & 0x1f);
+  }
+  return isKeyNal(type);
+}
+
+const KEYFRAME_DETECTORS = {
+  VP8: isVp8KeyframeStart,
+  VP9: isVp9KeyframeStart,
+  H264: isH264KeyframeStart
+};
+
+// Flag the first packet of each keyframe; a keyframe spans several packets
+// with the same RTP timestamp
+function isKeyframeStart(track, packet) {
+  const detect = KEYFRAME_DETECTORS[track.codecName];
+  if (!detect) return false;
+
+  const offset = rtpPayloadOffset(packet);
+  if (offset < 0 || !detect(packet.subarray(offset))) return false;
+
+  const timestamp = packet.readUInt32BE(4);
+  if (timestamp === track.lastKeyframeTimestamp) return false;
+  track.lastKeyframeTimestamp = timestamp;
+  return true;
+}
+
+function bindSocket(port, onMessage) {
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket('udp4');
+    socket.on('message', onMessage);
+    socket.once('error', reject);
+    socket.bind(port, '127.0.0.1', () => {
+      socket.removeListener('error', reject);
+      socket.on('error', (error) => console.error(`Pre-roll socket error on port ${port}: ${error.message}`));
+      resolve(socket);
+    });
+  });
+}
+
+// Start buffering one of a device's producers
+async function addTrack(producerId, deviceName) {
+  const mediasoupModule = require('./mediasoup');
+  const producerData = mediasoupModule.producers.get(producerId);
+  if (!producerData) return null;
+
+  const { clientId, kind } = producerData;
+  let relay = relays.get(clientId);
+  if (!relay) {
+    relay = {
+      clientId,
+      deviceName,
+      tracks: new Map(),
+      buffer: [],
+      head: 0,
+      output: null,
+      keyFrameTimer: null
+    };
+    relays.set(clientId, relay);
+  }
+  if (relay.tracks.has(kind)) return relay;
+
+  const track = await createRtpTrack(mediasoupModule.router, producerData.producer);
+  if (relays.get(clientId) !== relay) {
+    // Disarmed while the consumer was being created
+    closeRtpTrack(track);
+    return null;
+  }
+
+  try {
+    track.rtpSocket = await bindSocket(track.rtpPort, (packet) => onRtp(relay, track, packet));
+    track.rtcpSocket = await bindSocket(track.rtcpPort, (packet) => onRtcp(relay, track, packet));
+  } catch (error) {
+    closeTrack(track);
+    throw error;
+  }
+  if (relays.get(clientId) !== relay || relay.tracks.has(kind)) {
+    // Disarmed (or the track added by another call) while the sockets were being bound
+    closeTrack(track);
+    return relays.get(clientId) === relay ? relay : null;
+  }
+
+  relay.tracks.set(kind, track);
+  track.consumer.on('producerclose', () => removeTrack(clientId, kind));
+  await track.consumer.resume();
+  // Disarmed meanwhile: disarm() has closed the track
+  if (relays.get(clientId) !== relay) return null;
+
+  if (kind === 'video') {
+    // Regular keyframes so the buffer always holds a decodable starting point
+    await track.consumer.requestKeyFrame();
+    relay.keyFrameTimer = setInterval(() => {
+      track.consumer.requestKeyFrame().catch(() => {});
+    }, getPreRollSeconds() * 1000);
+  }
+
+  console.log(`Pre-roll buffering ${kind} for ${deviceName} (${getPreRollSeconds()}s)`);
+  return relay;
+}
+
+function onRtp(relay, track, packet) {
+  const now = Date.now();
+  relay.buffer.push({
+    time: now,
+    kind: track.kind,
+    packet,
+    keyframe: track.kind === 'video' && isKeyframeStart(track, packet)
+  });
+
+  // Keep two keyframe intervals, so there is a keyframe at least preRollSeconds back
+  const cutoff = now - getPreRollSeconds() * 2000;
+  while (relay.head < relay.buffer.length && relay.buffer[relay.head].time < cutoff) {
+    relay.head++;
+  }
+  if (relay.head > 1000) {
+    relay.buffer.splice(0, relay.head);
+    relay.head = 0;
+  }
+
+  if (relay.output) send(relay.output, track.kind, 'rtp', packet);
+}
+
+function onRtcp(relay, track, packet) {
+  // Payload type 200: sender report, which FFmpeg needs to sync audio and video
+  if (packet.length > 1 && packet[1] === 200) track.lastSenderReport = packet;
+  if (relay.output) send(relay.output, track.kind, 'rtcp', packet);
+}
+
+function send(output, kind, channel, packet) {
+  output.queue.push({ kind, channel, packet });
+  if (!output.timer) pump(output);
+}
+
+function pump(output) {
+  output.timer = null;
+  for (const { kind, channel, packet } of output.queue.splice(0, REPLAY_BATCH)) {
+    const target = output.targets[kind];
+    if (!target) continue;
+    output.socket.send(packet, channel === 'rtp' ? target.rtpPort : target.rtcpPort, '127.0.0.1');
+  }
+  if (output.queue.length > 0) {
+    output.timer = setTimeout(() => pump(output), REPLAY_INTERVAL_MS);
+  }
+}
+
+// Index of the buffered packet a recording should start from: the last
+// keyframe at least preRollSeconds old, else the oldest keyframe, else
+// simply preRollSeconds back. Without a keyframe detector for the video
+// codec there is no pre-roll: the recording starts live, at the keyframe
+// attach() asks for, rather than mid-GOP.
+function findPreRollStart(relay) {
+  const video = relay.tracks.get('video');
+  if (video && !KEYFRAME_DETECTORS[video.codecName]) return relay.buffer.length;
+
+  const target = Date.now() - getPreRollSeconds() * 1000;
+  let lastKeyframeBefore = -1;
+  let firstKeyframe = -1;
+  let firstAfterTarget = -1;
+
+  for (let i = relay.head; i < relay.buffer.length; i++) {
+    const entry = relay.buffer[i];
+    if (entry.time <= target) {
+      if (entry.keyframe) lastKeyframeBefore = i;
+    } else if (firstAfterTarget === -1) {
+      firstAfterTarget = i;
+    }
+    if (entry.keyframe && firstKeyframe === -1) firstKeyframe = i;
+  }
+
+  if (lastKeyframeBefore !== -1) return lastKeyframeBefore;
+  if (firstKeyframe !== -1) return firstKeyframe;
+  return firstAfterTarget !== -1 ? firstAfterTarget : relay.buffer.length;
+}
+
+// Port pairs and codec details for the recorder's SDP, in the same shape as
+// plain-rtp tracks. The recorder releases the ports (releaseTrackPorts) once
+// its FFmpeg has exited.
+async function openOutputs(clientId) {
+  const relay = relays.get(clientId);
+  if (!relay) return [];
+
+  const outputs = [];
+  for (const kind of TRACK_ORDER.filter(kind => relay.tracks.has(kind))) {
+    const track = relay.tracks.get(kind);
+    let rtpPort;
+    try {
+      rtpPort = await allocatePortPair();
+    } catch (error) {
+      outputs.forEach(output => releasePortPair(output.rtpPort));
+      throw error;
+    }
+    outputs.push({
+      kind,
+      producerId: track.producerId,
+      rtpPort,
+      rtcpPort: rtpPort + 1,
+      codecName: track.codecName,
+      payloadType: track.payloadType,
+      clockRate: track.clockRate,
+      channels: track.channels,
+      ssrc: track.ssrc
+    });
+  }
+  return outputs;
+}
+
+// Send the pre-roll, then live packets, to the ports from openOutputs
+function attach(clientId, outputs) {
+  const relay = relays.get(clientId);
+  if (!relay) return false;
+  detach(clientId);
+
+  const output = {
+    socket: dgram.createSocket('udp4'),
+    targets: Object.fromEntries(outputs.map(o => [o.kind, o])),
+    queue: [],
+    timer: null
+  };
+  output.socket.on('error', (error) => console.error(`Pre-roll relay error for ${relay.deviceName}: ${error.message}`));
+
+  for (const track of relay.tracks.values()) {
+    if (track.lastSenderReport) output.queue.push({ kind: track.kind, channel: 'rtcp', packet: track.lastSenderReport });
+  }
+  const start = findPreRollStart(relay);
+  for (let i = start; i < relay.buffer.length; i++) {
+    const { kind, packet } = relay.buffer[i];
+    output.queue.push({ kind, channel: 'rtp', packet });
+  }
+
+  const preRoll = start < relay.buffer.length ? (Date.now() - relay.buffer[start].time) / 1000 : 0;
+  console.log(`Pre-roll: replaying ${preRoll.toFixed(1)}s for ${relay.deviceName}`);
+
+  relay.output = output;
+  pump(output);
+  relay.tracks.get('video')?.consumer.requestKeyFrame().catch(() => {});
+  return true;
+}
+
+function requestKeyFrame(clientId) {
+  const video = relays.get(clientId)?.tracks.get('video');
+  return video ? video.consumer.requestKeyFrame().catch(() => {}) : Promise.resolve();
+}
+
+// Stop forwarding to the recorder; buffering continues
+function detach(clientId) {
+  const relay = relays.get(clientId);
+  if (!relay?.output) return;
+
+  clearTimeout(relay.output.timer);
+  try { relay.output.socket.close(); } catch (e) {}
+  relay.output = null;
+}
+
+function closeTrack(track) {
+  closeRtpTrack(track);
+  try { track.rtpSocket?.close(); } catch (e) {}
+  try { track.rtcpSocket?.close(); } catch (e) {}
+}
+
+function removeTrack(clientId, kind) {
+  const relay = relays.get(clientId);
+  const track = relay?.tracks.get(kind);
+  if (!track) return;
+
+  closeTrack(track);
+  relay.tracks.delete(kind);
+  if (kind === 'video') clearInterval(relay.keyFrameTimer);
+  if (relay.tracks.size === 0) disarm(clientId);
+}
+
+// Stop buffering for a device and drop its pre-roll
+function disarm(clientId) {
+  const relay = relays.get(clientId);
+  if (!relay) return;
+
+  detach(clientId);
+  relays.delete(clientId);
+  clearInterval(relay.keyFrameTimer);
+  for (const track of relay.tracks.values()) {
+    closeTrack(track);
+  }
+  relay.buffer = [];
+}
+
+function isArmed(clientId) {
+  return relays.has(clientId);
+}
+
+module.exports = {
+  addTrack,
+  openOutputs,
+  attach,
+  detach,
+  requestKeyFrame,
+  disarm,
+  isArmed
+};
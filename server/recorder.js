@@ -1,20 +1,36 @@
 const { spawn, execSync } = require('child_process');
 const path = require('path');
 const fs = require('fs');
+const EventEmitter = require('events');
 const config = require('./config');
-
-// Active recordings
+const catalog = require('./catalog');
+const thumbnails = require('./thumbnails');
+const storage = require('./storage');
+const integrity = require('./integrity');
+const preroll = require('./preroll');
+const { createRtpTrack, closeRtpTrack, releaseTrackPorts, buildSdp, waitForListeners } = require('./plain-rtp');
+
+// Active recording sessions, keyed by the streaming client's id so that a
+// device's audio and video producers are written into the same file
 const recordings = new Map();
 
-// Port counter for unique RTP ports
-let nextRtpPort = 20000;
+// Recording state shown on the dashboards, keyed by the streaming client's id:
+// { clientId, deviceName, state: 'recording' | 'restarting' | 'stopped' | 'error', filename, error, since }
+const deviceStates = new Map();
 
-function getNextPort() {
-  const port = nextRtpPort;
-  nextRtpPort += 2;
-  if (nextRtpPort > 30000) nextRtpPort = 20000;
-  return port;
-}
+// Emits 'state' with the new state whenever a device's recording state changes
+const emitter = new EventEmitter();
+
+// PlainTransport tracks opened for recording, so ones left behind by a
+// session that went away can be found and closed
+const openTracks = new Set();
+
+// Pipelines whose FFmpeg is still running, including stopped ones that are
+// still finalizing their file, so shutdown can wait for them
+const runningPipelines = new Set();
+
+// Set once shutdown has begun: no new recordings are started
+let shuttingDown = false;
 
 // Check if FFmpeg is available
 let ffmpegAvailable = false;
@@ -26,91 +42,163 @@ try {
   console.warn('⚠️  FFmpeg not found. Recording will be disabled.');
 }
 
-// Helper to wait
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+// Order of the m= lines in the SDP; FFmpeg numbers its input streams the same way
+const TRACK_ORDER = ['video', 'audio'];
 
 async function startRecording(producerId, deviceName) {
   if (!ffmpegAvailable) {
     console.log(`Recording skipped for ${deviceName} - FFmpeg not available`);
     return null;
   }
+  if (shuttingDown) {
+    console.log(`Recording skipped for ${deviceName} - server is shutting down`);
+    return null;
+  }
+
+  const mediasoupModule = require('./mediasoup');
+  const producerData = mediasoupModule.producers.get(producerId);
+  if (!producerData) {
+    console.log(`Recording skipped - producer ${producerId} not found`);
+    return null;
+  }
+
+  const { clientId, kind } = producerData;
+
+  let session = recordings.get(clientId);
+  if (!session) {
+    session = {
+      clientId,
+      deviceName,
+      producerIds: {},
+      pipeline: null,
+      pending: null,
+      pendingTimer: null,
+      resolvePending: null
+    };
+    recordings.set(clientId, session);
+  }
+
+  if (session.producerIds[kind] === producerId) {
+    // Already part of this session
+    return session.pending || (session.pipeline && pipelineResult(session.pipeline));
+  }
+  session.producerIds[kind] = producerId;
+
+  if (session.pipeline) {
+    // The other track arrived after the file was opened. Finalize the current
+    // file and continue in a new one that contains both tracks.
+    console.log(`Adding ${kind} track to recording for ${deviceName}, starting new file`);
+    stopPipeline(session.pipeline);
+    session.pipeline = null;
+    session.pending = startSession(session).finally(() => { session.pending = null; });
+    return session.pending;
+  }
+
+  if (!session.pending) {
+    // Give the device's other producer a moment to arrive so that audio and
+    // video start in the same file
+    session.pending = new Promise(resolve => {
+      session.resolvePending = resolve;
+      session.pendingTimer = setTimeout(() => {
+        session.pendingTimer = null;
+        resolve(startSession(session));
+      }, config.recording.pairingWindowMs);
+    }).finally(() => { session.pending = null; });
+  }
+
+  return session.pending;
+}
+
+// Start recording a device whose media is buffered by the pre-roll relay
+// (motion-triggered mode). The file begins with the buffered pre-roll.
+async function startTriggeredRecording(clientId, deviceName) {
+  if (!ffmpegAvailable || shuttingDown || !preroll.isArmed(clientId)) return null;
+
+  const existing = recordings.get(clientId);
+  if (existing) {
+    return existing.pending || (existing.pipeline && pipelineResult(existing.pipeline));
+  }
+
+  const session = {
+    clientId,
+    deviceName,
+    producerIds: {},
+    pipeline: null,
+    pending: null,
+    pendingTimer: null,
+    resolvePending: null,
+    relay: true
+  };
+  recordings.set(clientId, session);
+
+  session.pending = startSession(session).finally(() => { session.pending = null; });
+  return session.pending;
+}
+
+async function startSession(session) {
+  const { clientId, deviceName } = session;
+
+  // Stopped while waiting for the pairing window
+  if (recordings.get(clientId) !== session || shuttingDown) return null;
 
   const recordingsDir = path.resolve(config.recording.directory);
   if (!fs.existsSync(recordingsDir)) {
     fs.mkdirSync(recordingsDir, { recursive: true });
   }
 
+  const tracks = [];
+  let pipeline = null;
+
   try {
     const mediasoupModule = require('./mediasoup');
-    
-    const producerData = mediasoupModule.producers.get(producerId);
-    if (!producerData) {
-      console.log(`Recording skipped - producer ${producerId} not found`);
-      return null;
-    }
-
-    const producer = producerData.producer;
     const router = mediasoupModule.router;
 
-    // Get unique port for FFmpeg to listen on
-    const rtpPort = getNextPort();
-    const rtcpPort = rtpPort + 1;
+    // Step 1: One PlainTransport + consumer per track, or ports the pre-roll
+    // relay forwards to
+    if (session.relay) {
+      for (const output of await preroll.openOutputs(clientId)) {
+        tracks.push(output);
+        session.producerIds[output.kind] = output.producerId;
+      }
+    } else {
+      for (const kind of TRACK_ORDER) {
+        const producerData = mediasoupModule.producers.get(session.producerIds[kind]);
+        if (!producerData) continue;
+
+        const track = await createRtpTrack(router, producerData.producer);
+        track.openedAt = Date.now();
+        openTracks.add(track);
+        tracks.push(track);
+        console.log(`Recording ${deviceName} ${kind}: codec=${track.codecName} pt=${track.payloadType} ssrc=${track.ssrc}`);
+      }
+    }
+
+    if (tracks.length === 0) {
+      console.log(`Recording skipped for ${deviceName} - no producers left`);
+      recordings.delete(clientId);
+      return null;
+    }
 
     // Generate filename - use MKV which is more flexible than WebM
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     const safeDeviceName = (deviceName || 'unknown').replace(/[^a-zA-Z0-9-_]/g, '_');
-    const filename = `${safeDeviceName}_${timestamp}.mkv`;
+    const segmented = isSegmented();
+    // In segmented mode FFmpeg numbers the files: Device_<timestamp>_seg000.mkv, _seg001.mkv, ...
+    const filename = segmented
+      ? `${safeDeviceName}_${timestamp}_seg%03d.mkv`
+      : `${safeDeviceName}_${timestamp}.mkv`;
     const filepath = path.join(recordingsDir, filename);
 
-    // Step 1: Create PlainTransport with comedia mode
-    // comedia: true means mediasoup will wait for the first RTP packet to determine where to send RTCP
-    // But we want to send TO FFmpeg, so we use comedia: false and explicit connect
-    const plainTransport = await router.createPlainTransport({
-      listenIp: { ip: '127.0.0.1', announcedIp: null },
-      rtcpMux: false, // Separate RTP and RTCP ports
-      comedia: false
-    });
-
-    // Step 2: Create consumer BEFORE connecting (to get actual RTP params)
-    const consumer = await plainTransport.consume({
-      producerId: producer.id,
-      rtpCapabilities: router.rtpCapabilities,
-      paused: true // Start paused, resume after FFmpeg is ready
-    });
-
-    // Get the actual codec and SSRC from consumer
-    const codec = consumer.rtpParameters.codecs[0];
-    const codecName = codec.mimeType.split('/')[1].toUpperCase();
-    const payloadType = codec.payloadType;
-    const clockRate = codec.clockRate;
-    const ssrc = consumer.rtpParameters.encodings[0].ssrc;
-
-    console.log(`Recording ${deviceName}: codec=${codecName} pt=${payloadType} ssrc=${ssrc}`);
-
-    // Step 3: Connect transport to FFmpeg's listening port
-    await plainTransport.connect({
-      ip: '127.0.0.1',
-      port: rtpPort,
-      rtcpPort: rtcpPort
-    });
-
-    // Step 4: Create SDP with actual consumer parameters
-    const sdpContent = `v=0
-o=- 0 0 IN IP4 127.0.0.1
-s=MediaSoup Recording
-c=IN IP4 127.0.0.1
-t=0 0
-m=video ${rtpPort} RTP/AVP ${payloadType}
-a=rtpmap:${payloadType} ${codecName}/${clockRate}
-a=ssrc:${ssrc} cname:mediasoup
-a=recvonly
-`;
-
-    const sdpPath = path.join(recordingsDir, `${producerId}.sdp`);
+    // Step 2: Create SDP with actual consumer parameters
+    const sdpContent = buildSdp(tracks);
+    const sdpPath = path.join(recordingsDir, `${safeDeviceName}_${timestamp}.sdp`);
     fs.writeFileSync(sdpPath, sdpContent);
     console.log(`SDP created at ${sdpPath}:\n${sdpContent}`);
 
-    // Step 5: Start FFmpeg with timeout and retry logic
+    // Step 3: Start FFmpeg. Audio and video timestamps are aligned by FFmpeg
+    // from the RTCP sender reports mediasoup sends to each rtcp port.
+    const overlay = require('./recording-modes').getProfile(deviceName) === 'overlay' &&
+      tracks.some(t => t.kind === 'video');
     const ffmpegArgs = [
       '-y', // Overwrite output
       '-protocol_whitelist', 'file,udp,rtp',
@@ -118,19 +206,69 @@ a=recvonly
       '-analyzeduration', '2000000', // 2 seconds
       '-probesize', '2000000',
       '-i', sdpPath,
-      '-c:v', 'copy', // Copy video codec (no transcode)
-      '-f', 'matroska', // Matroska container (more flexible)
+      '-map', '0:v?',
+      '-map', '0:a?',
+      ...(overlay ? overlayArgs(deviceName, segmented) : [
+        '-c:v', 'copy' // Copy video codec (no transcode)
+      ]),
+      '-c:a', 'copy', // Opus goes into Matroska as-is
+      ...(segmented ? [
+        '-f', 'segment',
+        '-segment_time', String(config.recording.segmentSeconds),
+        '-segment_format', 'matroska',
+        '-reset_timestamps', '1' // Each segment starts at 0 so it plays on its own
+      ] : [
+        '-f', 'matroska' // Matroska container (more flexible)
+      ]),
       filepath
     ];
 
+    pipeline = {
+      tracks,
+      ffmpeg: null,
+      filepath,
+      filename,
+      sdpPath,
+      segmented,
+      sessionId: `${safeDeviceName}_${timestamp}`,
+      clientId,
+      deviceName,
+      relay: !!session.relay,
+      codecs: Object.fromEntries(tracks.map(t => [t.kind, overlay && t.kind === 'video' ? 'H264' : t.codecName])),
+      width: null,
+      height: null,
+      framesRecorded: 0,
+      currentEntry: null,
+      startTime: new Date(),
+      keyFrameTimer: null,
+      // Resolves once FFmpeg has exited and the file it was writing is finalized
+      finished: null
+    };
+
+    if (segmented) {
+      // FFmpeg writes "name,start,end" to stdout each time it completes a segment
+      ffmpegArgs.splice(ffmpegArgs.length - 1, 0,
+        '-segment_list', 'pipe:1',
+        '-segment_list_type', 'csv'
+      );
+    }
+
     console.log(`Starting FFmpeg: ffmpeg ${ffmpegArgs.join(' ')}`);
 
     const ffmpeg = spawn('ffmpeg', ffmpegArgs, { 
       stdio: ['pipe', 'pipe', 'pipe']
     });
+    pipeline.ffmpeg = ffmpeg;
+    // 'q' written while FFmpeg is already exiting (e.g. it got the terminal's
+    // Ctrl-C too) fails with EPIPE; it is finishing the file either way
+    ffmpeg.stdin.on('error', () => {});
+    let resolveFinished;
+    pipeline.finished = new Promise(resolve => { resolveFinished = resolve; });
+    runningPipelines.add(pipeline);
+
+    openCatalogEntry(pipeline, segmented ? 0 : null, pipeline.startTime);
 
     let ffmpegOutput = '';
-    let framesRecorded = 0;
     let ffmpegReady = false;
 
     ffmpeg.stderr.on('data', (data) => {
@@ -140,12 +278,22 @@ a=recvonly
       // Check for progress
       const frameMatch = text.match(/frame=\s*(\d+)/);
       if (frameMatch) {
-        framesRecorded = parseInt(frameMatch[1]);
+        pipeline.framesRecorded = parseInt(frameMatch[1]);
         if (!ffmpegReady) {
           ffmpegReady = true;
           console.log(`FFmpeg receiving frames for ${deviceName}`);
         }
       }
+
+      // Pick up the resolution from the input stream description
+      const videoMatch = !pipeline.width && text.match(/Video: .*?, (\d{2,5})x(\d{2,5})/);
+      if (videoMatch) {
+        pipeline.width = parseInt(videoMatch[1]);
+        pipeline.height = parseInt(videoMatch[2]);
+        if (pipeline.currentEntry) {
+          catalog.updateEntry(pipeline.currentEntry.name, { width: pipeline.width, height: pipeline.height });
+        }
+      }
       
       // Log important messages
       if (text.includes('Stream mapping') || text.includes('Output #0')) {
@@ -153,6 +301,24 @@ a=recvonly
       }
     });
 
+    let segmentListBuffer = '';
+    ffmpeg.stdout.on('data', (data) => {
+      segmentListBuffer += data.toString();
+      const lines = segmentListBuffer.split('\n');
+      segmentListBuffer = lines.pop();
+
+      for (const line of lines) {
+        const [name, , end] = line.trim().split(',');
+        if (!name || !pipeline.currentEntry || path.basename(name) !== pipeline.currentEntry.name) continue;
+
+        // Segment times are relative to the start of the session
+        const endedAt = new Date(pipeline.startTime.getTime() + parseFloat(end) * 1000);
+        const nextSegment = pipeline.currentEntry.segment + 1;
+        closeCatalogEntry(pipeline, endedAt, true);
+        openCatalogEntry(pipeline, nextSegment, endedAt);
+      }
+    });
+
     ffmpeg.on('error', (error) => {
       console.error(`FFmpeg spawn error for ${deviceName}: ${error.message}`);
     });
@@ -160,9 +326,27 @@ a=recvonly
     ffmpeg.on('close', (code) => {
       // Cleanup SDP file
       try { if (fs.existsSync(sdpPath)) fs.unlinkSync(sdpPath); } catch (e) {}
+      // FFmpeg no longer holds its ports
+      tracks.forEach(releaseTrackPorts);
+
+      // 0 after 'q', 255 after SIGINT: FFmpeg wrote the trailer either way
+      const finalized = closeCatalogEntry(pipeline, new Date(), code === 0 || code === 255, code);
+      runningPipelines.delete(pipeline);
+      resolveFinished(finalized);
+
+      // Exited on its own rather than being stopped: restart into a new file
+      if (session.pipeline === pipeline) {
+        session.pipeline = null;
+        releaseTracks(pipeline);
+        // A pipeline that ran for a while before dying starts a fresh count
+        if (Date.now() - pipeline.startTime >= getRestartOptions().stableSeconds * 1000) {
+          session.failures = 0;
+        }
+        handleFailure(session, lastFfmpegError(ffmpegOutput) || `FFmpeg exited with code ${code}`);
+      }
       
-      if (framesRecorded > 0) {
-        console.log(`✓ Recording saved: ${filename} (${framesRecorded} frames)`);
+      if (pipeline.framesRecorded > 0) {
+        console.log(`✓ Recording saved: ${filename} (${pipeline.framesRecorded} frames)`);
       } else if (code === 255 || code === null) {
         console.log(`Recording stopped: ${filename}`);
       } else {
@@ -176,120 +360,561 @@ a=recvonly
       }
     });
 
-    // Step 6: Wait for FFmpeg to start listening
-    await sleep(1000);
+    // Step 4: Wait until FFmpeg listens on every port, so the keyframe
+    // requested below isn't sent into a closed port
+    const notListening = await waitForListeners(ffmpeg, tracks).then(() => null, error => error);
 
-    // Step 7: Resume consumer to start RTP flow
-    await consumer.resume();
-    console.log(`Consumer resumed, RTP flowing to FFmpeg on port ${rtpPort}`);
+    // Stopped while FFmpeg was starting
+    if (recordings.get(clientId) !== session) {
+      stopPipeline(pipeline);
+      return null;
+    }
 
-    // Store recording info
-    recordings.set(producerId, {
-      plainTransport,
-      consumer,
-      ffmpeg,
-      filepath,
-      sdpPath,
-      deviceName,
-      rtpPort,
-      startTime: new Date()
-    });
+    // Bad SDP, unsupported codec, ...
+    if (notListening) {
+      throw new Error(lastFfmpegError(ffmpegOutput) || notListening.message);
+    }
+
+    // Step 5: Resume consumers (or start the relay) to start RTP flow. With
+    // stream copy FFmpeg drops video packets until the first keyframe, so
+    // ask for one right away rather than waiting for the next natural one.
+    if (session.relay) {
+      preroll.attach(clientId, tracks);
+    } else {
+      for (const track of tracks) {
+        await track.consumer.resume();
+      }
+      await requestKeyFrame(pipeline);
+    }
+    if (segmented) scheduleSegmentKeyFrames(pipeline);
+    console.log(`RTP flowing to FFmpeg on ports ${tracks.map(t => t.rtpPort).join(', ')}`);
+
+    session.pipeline = pipeline;
+    setDeviceState(clientId, deviceName, 'recording', { filename });
 
-    console.log(`Recording started: ${filename}`);
-    return { filepath, filename };
+    console.log(`Recording started: ${filename} (${tracks.map(t => t.kind).join('+')})`);
+    return pipelineResult(pipeline);
 
   } catch (error) {
     console.error(`Failed to start recording for ${deviceName}:`, error.message);
+    if (pipeline) clearTimeout(pipeline.keyFrameTimer);
+    if (pipeline?.ffmpeg && pipeline.ffmpeg.exitCode === null) {
+      try { pipeline.ffmpeg.kill('SIGKILL'); } catch (e) {}
+    }
+    releaseTracks({ clientId, tracks, relay: !!session.relay });
+    if (recordings.get(clientId) === session && !session.pipeline) {
+      handleFailure(session, error.message);
+    }
     return null;
   }
 }
 
-function stopRecording(producerId) {
-  const recording = recordings.get(producerId);
-  
-  if (recording) {
-    console.log(`Stopping recording for ${recording.deviceName}...`);
-
-    // Close consumer first to stop RTP flow
-    try { 
-      if (recording.consumer && !recording.consumer.closed) {
-        recording.consumer.close(); 
+// Ask the device for a keyframe. The pre-roll relay (which attach() already
+// asked) owns the consumer in motion-triggered recordings.
+async function requestKeyFrame(pipeline) {
+  if (pipeline.relay) {
+    return preroll.requestKeyFrame(pipeline.clientId);
+  }
+  const video = pipeline.tracks.find(t => t.kind === 'video');
+  if (video && !video.consumer.closed) {
+    await video.consumer.requestKeyFrame().catch(() => {});
+  }
+}
+
+// The segment muxer can only cut on a keyframe, so a segment otherwise runs
+// on until the device happens to send one. Ask for one just before each
+// boundary so every segment starts on time with a clean picture.
+function scheduleSegmentKeyFrames(pipeline) {
+  const interval = config.recording.segmentSeconds * 1000;
+  const lead = Math.min(500, interval / 2);
+
+  const schedule = () => {
+    const untilBoundary = interval - ((Date.now() - pipeline.startTime) % interval);
+    const delay = untilBoundary > lead ? untilBoundary - lead : untilBoundary + interval - lead;
+    pipeline.keyFrameTimer = setTimeout(() => {
+      requestKeyFrame(pipeline);
+      schedule();
+    }, delay);
+  };
+  schedule();
+}
+
+// drawtext text passes through three levels of FFmpeg escaping; keep device
+// names to characters none of them treat specially
+function drawtextLabel(text) {
+  return text.replace(/[^\p{L}\p{N} _\-.#()]/gu, '').trim() || 'unknown';
+}
+
+const OVERLAY_POSITIONS = {
+  'top-left': (m) => [`${m}`, `${m}`],
+  'top-right': (m) => [`w-tw-${m}`, `${m}`],
+  'bottom-left': (m) => [`${m}`, `h-th-${m}`],
+  'bottom-right': (m) => [`w-tw-${m}`, `h-th-${m}`]
+};
+
+// Video encoding for the overlay profile: the device name and FFmpeg's local
+// wall-clock time drawn onto every frame
+function overlayArgs(deviceName, segmented) {
+  const overlay = config.recording.overlay || {};
+  const fontSize = overlay.fontSize || 24;
+  const position = OVERLAY_POSITIONS[overlay.position] || OVERLAY_POSITIONS['top-left'];
+  const [x, y] = position(Math.round(fontSize / 2));
+
+  const drawtext = [
+    `text='${drawtextLabel(deviceName || '')}  %{localtime\\:%Y-%m-%d %T}'`,
+    `x=${x}`,
+    `y=${y}`,
+    `fontsize=${fontSize}`,
+    `fontcolor=${overlay.fontColor || 'white'}`,
+    ...(overlay.fontFile ? [`fontfile='${overlay.fontFile.replace(/\\/g, '/').replace(/:/g, '\\:')}'`] : []),
+    ...(overlay.box !== false ? ['box=1', 'boxcolor=black@0.5', `boxborderw=${Math.round(fontSize / 4)}`] : [])
+  ].join(':');
+
+  return [
+    '-vf', `drawtext=${drawtext}`,
+    '-c:v', 'libx264',
+    '-preset', overlay.preset || 'veryfast',
+    '-crf', String(overlay.crf || 23),
+    '-pix_fmt', 'yuv420p',
+    // Keyframes where the segment muxer should cut
+    ...(segmented ? ['-force_key_frames', `expr:gte(t,n_forced*${config.recording.segmentSeconds})`] : [])
+  ];
+}
+
+function getRestartOptions() {
+  const restart = config.recording.restart || {};
+  return {
+    maxAttempts: restart.maxAttempts ?? 5,
+    initialDelayMs: restart.initialDelayMs || 1000,
+    maxDelayMs: restart.maxDelayMs || 30000,
+    stableSeconds: restart.stableSeconds || 60
+  };
+}
+
+// Last error-looking line FFmpeg printed
+function lastFfmpegError(output) {
+  const errors = output.split('\n').filter(l => /error|invalid/i.test(l));
+  return errors.length > 0 ? errors[errors.length - 1].trim() : null;
+}
+
+// FFmpeg died (or failed to start) while the device should be recording.
+// Retry into a new file with exponential backoff; after restart.maxAttempts
+// consecutive failures give up and report an error state.
+function handleFailure(session, reason) {
+  const { clientId, deviceName } = session;
+  if (recordings.get(clientId) !== session) return;
+
+  const options = getRestartOptions();
+  session.failures = (session.failures || 0) + 1;
+
+  if (session.failures > options.maxAttempts) {
+    console.error(`Recording for ${deviceName} failed ${session.failures} times, giving up: ${reason}`);
+    recordings.delete(clientId);
+    setDeviceState(clientId, deviceName, 'error', { error: `Failed ${session.failures} times: ${reason}` });
+    return;
+  }
+
+  const delay = Math.min(options.maxDelayMs, options.initialDelayMs * 2 ** (session.failures - 1));
+  console.warn(`⚠️  Recording for ${deviceName} failed (${reason}), restarting in ${delay}ms ` +
+    `(attempt ${session.failures}/${options.maxAttempts})`);
+  setDeviceState(clientId, deviceName, 'restarting', { error: reason });
+
+  session.restartTimer = setTimeout(() => {
+    session.restartTimer = null;
+    session.pending = startSession(session).finally(() => { session.pending = null; });
+  }, delay);
+}
+
+// Close a pipeline's consumers and transports (or stop its relay) once FFmpeg is gone
+function releaseTracks(pipeline) {
+  clearTimeout(pipeline.keyFrameTimer);
+  if (pipeline.relay) preroll.detach(pipeline.clientId);
+  for (const track of pipeline.tracks) {
+    if (!track.plainTransport) {
+      releaseTrackPorts(track);
+      continue;
+    }
+    closeRtpTrack(track);
+    openTracks.delete(track);
+  }
+}
+
+// Recording filenames look like Device_2024-01-01T12-00-00-000Z.mkv, with a
+// _seg000 suffix before the extension in segmented mode, _clip for
+// exported clips (timestamp = start of the clip; _clip-2, _clip-3, ... for
+// more clips from the same point) and _timelapse for timelapses
+// (timestamp = start of the range)
+const FILENAME_PATTERN = /^(.+)_(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z(?:_seg(\d+)|_(clip)(?:-\d+)?|_(timelapse)(?:-\d+)?)?\.(mkv|mp4|webm)$/i;
+
+function parseRecordingFilename(filename) {
+  const match = filename.match(FILENAME_PATTERN);
+  if (!match) return null;
+
+  const [, deviceName, date, hours, minutes, seconds, millis, segment, clip, timelapse] = match;
+  return {
+    deviceName,
+    sessionStart: new Date(`${date}T${hours}:${minutes}:${seconds}.${millis}Z`),
+    segment: segment !== undefined ? parseInt(segment, 10) : null,
+    clip: !!clip,
+    timelapse: !!timelapse
+  };
+}
+
+// Filenames FFmpeg is currently writing to. In segmented mode only the
+// newest segment of a session is still open.
+function getActiveFiles() {
+  const active = new Set();
+
+  for (const session of recordings.values()) {
+    const entry = session.pipeline?.currentEntry;
+    if (entry) active.add(entry.name);
+  }
+
+  return active;
+}
+
+// Name of one file of a segmented recording: Device_<timestamp>_seg%03d.mkv -> _seg004.mkv
+function segmentFilename(pattern, segment) {
+  return pattern.replace('%03d', String(segment).padStart(3, '0'));
+}
+
+// Add a catalog entry for the file FFmpeg has started writing
+function openCatalogEntry(pipeline, segment, startedAt) {
+  const name = segment === null ? pipeline.filename : segmentFilename(pipeline.filename, segment);
+  pipeline.currentEntry = { name, segment, startedAt, framesAtStart: pipeline.framesRecorded };
+
+  catalog.addEntry({
+    name,
+    sessionId: pipeline.sessionId,
+    segment,
+    deviceName: pipeline.deviceName,
+    clientId: pipeline.clientId,
+    startedAt,
+    endedAt: null,
+    duration: null,
+    codecs: pipeline.codecs,
+    width: pipeline.width,
+    height: pipeline.height,
+    frames: null,
+    size: 0,
+    status: 'recording',
+    endedCleanly: null
+  });
+}
+
+// Finalize the catalog entry of the file FFmpeg has just closed. Resolves
+// once the file is hashed and encrypted; thumbnails follow in the background.
+function closeCatalogEntry(pipeline, endedAt, endedCleanly, exitCode = null) {
+  const entry = pipeline.currentEntry;
+  if (!entry) return Promise.resolve();
+  pipeline.currentEntry = null;
+
+  const recordingsDir = path.dirname(pipeline.filepath);
+  let stats;
+  try {
+    stats = fs.statSync(path.join(recordingsDir, entry.name));
+  } catch (e) {
+    // FFmpeg never created the file (no media arrived)
+    catalog.removeEntry(entry.name);
+    return Promise.resolve();
+  }
+
+  catalog.updateEntry(entry.name, {
+    endedAt,
+    duration: (endedAt - entry.startedAt) / 1000,
+    frames: pipeline.framesRecorded - entry.framesAtStart,
+    width: pipeline.width,
+    height: pipeline.height,
+    size: stats.size,
+    modified: stats.mtime,
+    status: endedCleanly ? 'complete' : 'incomplete',
+    endedCleanly,
+    exitCode,
+    // Killed or crashed: the file may lack its cues and duration
+    pendingRepair: !endedCleanly
+  });
+
+  return endedCleanly ? finalizeRecording(entry.name) : require('./repair').repairRecording(entry.name);
+}
+
+// Hash a file FFmpeg has finished writing (for tamper-evident exports), then
+// encrypt it at rest (if enabled) before anything else reads it. Resolves
+// once both are done; thumbnails and the keyframe probe follow in the background.
+function finalizeRecording(name) {
+  const filepath = storage.getRecordingPath(name);
+  const finalized = integrity.hashRecording(name)
+    .then(() => storage.encryptRecording(name))
+    .catch((error) => {
+      console.error(`❌ Failed to finalize ${name}: ${error.message}`);
+    });
+
+  finalized.then(async () => {
+    thumbnails.generateThumbnails(name);
+
+    // Flag files whose picture starts mid-GOP (no keyframe arrived before the
+    // first video packets), so players and exports can treat them with care
+    const startsOnKeyframe = await catalog.probeKeyframeStart(filepath);
+    if (startsOnKeyframe === null || !catalog.getEntry(name)) return;
+    catalog.updateEntry(name, { startsOnKeyframe });
+    if (!startsOnKeyframe) {
+      console.warn(`⚠️  ${name} does not start on a keyframe`);
+    }
+  }).catch((error) => {
+    console.error(`❌ Failed to check the start of ${name}: ${error.message}`);
+  });
+
+  return finalized;
+}
+
+// Whether recordings are split into segments. Always with encryption at
+// rest: a file is encrypted once finished, so a single file per session
+// would sit on disk unencrypted for as long as the device streams.
+function isSegmented() {
+  return !!config.recording.segmented || !!config.recording.encryption?.enabled;
+}
+
+function pipelineResult(pipeline) {
+  return { filepath: pipeline.filepath, filename: pipeline.filename };
+}
+
+function isRunning(ffmpeg) {
+  return !!ffmpeg && ffmpeg.exitCode === null && ffmpeg.signalCode === null;
+}
+
+// Stop RTP flow and let FFmpeg finalize the file. Resolves with
+// pipeline.finished once it has.
+function stopPipeline(pipeline) {
+  clearTimeout(pipeline.keyFrameTimer);
+
+  // Close consumers (or stop the relay) first to stop RTP flow
+  if (pipeline.relay) preroll.detach(pipeline.clientId);
+  for (const track of pipeline.tracks) {
+    try {
+      if (track.consumer && !track.consumer.closed) {
+        track.consumer.close();
       }
     } catch (e) {}
+  }
 
-    // Give FFmpeg a moment to flush
+  // Stop FFmpeg gracefully with 'q': it writes the cues and duration on the
+  // way out. SIGINT does the same if stdin is gone.
+  if (isRunning(pipeline.ffmpeg)) {
+    try {
+      pipeline.ffmpeg.stdin.write('q');
+    } catch (e) {
+      try { pipeline.ffmpeg.kill('SIGINT'); } catch (e2) {}
+    }
+
+    // Force kill after timeout; the file is then repaired on the next start
     setTimeout(() => {
-      // Stop FFmpeg gracefully with 'q'
-      if (recording.ffmpeg && !recording.ffmpeg.killed) {
-        try { 
-          recording.ffmpeg.stdin.write('q'); 
-        } catch (e) {
-          // If stdin write fails, kill it
-          try { recording.ffmpeg.kill('SIGINT'); } catch (e2) {}
-        }
-        
-        // Force kill after timeout
-        setTimeout(() => {
-          if (recording.ffmpeg && !recording.ffmpeg.killed) {
-            try { recording.ffmpeg.kill('SIGKILL'); } catch (e) {}
-          }
-        }, 3000);
+      if (isRunning(pipeline.ffmpeg)) {
+        console.warn(`⚠️  FFmpeg for ${pipeline.deviceName} did not finish writing ${pipeline.filename}, killing it`);
+        try { pipeline.ffmpeg.kill('SIGKILL'); } catch (e) {}
       }
+    }, 3000).unref();
+  }
 
-      // Close transport
-      try { 
-        if (recording.plainTransport && !recording.plainTransport.closed) {
-          recording.plainTransport.close(); 
-        }
-      } catch (e) {}
-
-      // Cleanup SDP
-      try { 
-        if (recording.sdpPath && fs.existsSync(recording.sdpPath)) {
-          fs.unlinkSync(recording.sdpPath); 
-        }
-      } catch (e) {}
-    }, 500);
+  // Close transports
+  for (const track of pipeline.tracks) {
+    try {
+      if (track.plainTransport && !track.plainTransport.closed) {
+        track.plainTransport.close();
+      }
+    } catch (e) {}
+    openTracks.delete(track);
+  }
 
-    recordings.delete(producerId);
+  // Cleanup SDP
+  try {
+    if (pipeline.sdpPath && fs.existsSync(pipeline.sdpPath)) {
+      fs.unlinkSync(pipeline.sdpPath);
+    }
+  } catch (e) {}
 
-    const duration = Math.round((new Date() - recording.startTime) / 1000);
-    console.log(`Recording stopped: ${recording.deviceName} (${duration}s)`);
+  return pipeline.finished || Promise.resolve();
+}
 
-    return { filepath: recording.filepath, duration, deviceName: recording.deviceName };
+function findSessionByProducer(producerId) {
+  for (const session of recordings.values()) {
+    if (Object.values(session.producerIds).includes(producerId)) {
+      return session;
+    }
   }
   return null;
 }
 
-function stopAllRecordings() {
-  for (const producerId of recordings.keys()) {
-    stopRecording(producerId);
+// Stops the recording session the producer belongs to (audio and video together)
+function stopRecording(producerId) {
+  const session = findSessionByProducer(producerId);
+  return session ? stopSession(session) : null;
+}
+
+// Stops a device's recording session by the streaming client's id
+function stopDeviceRecording(clientId) {
+  const session = recordings.get(clientId);
+  return session ? stopSession(session) : null;
+}
+
+function stopSession(session) {
+  recordings.delete(session.clientId);
+  clearTimeout(session.restartTimer);
+
+  // Still waiting for the pairing window
+  if (session.pendingTimer) {
+    clearTimeout(session.pendingTimer);
+    session.pendingTimer = null;
+    session.resolvePending(null);
+  }
+
+  if (!session.pipeline) {
+    setDeviceState(session.clientId, session.deviceName, 'stopped');
+    return null;
+  }
+
+  const { pipeline } = session;
+  session.pipeline = null;
+  setDeviceState(session.clientId, session.deviceName, 'stopped');
+
+  console.log(`Stopping recording for ${session.deviceName}...`);
+  stopPipeline(pipeline);
+
+  const duration = Math.round((new Date() - pipeline.startTime) / 1000);
+  console.log(`Recording stopped: ${session.deviceName} (${duration}s)`);
+
+  return { filepath: pipeline.filepath, duration, deviceName: session.deviceName };
+}
+
+// Shutdown: stop every recording and wait, at most timeoutMs, for FFmpeg to
+// finalize the files (including ones stopped just before). Resolves with
+// false if some were cut off; those are repaired on the next start.
+async function stopAllRecordings({ timeoutMs = config.recording.shutdownTimeoutSeconds * 1000 } = {}) {
+  shuttingDown = true;
+  for (const session of Array.from(recordings.values())) {
+    stopSession(session);
+  }
+
+  const pending = Array.from(runningPipelines);
+  if (pending.length === 0) return true;
+
+  console.log(`Waiting for ${pending.length} recording(s) to finish writing...`);
+  let timer;
+  const finished = await Promise.race([
+    Promise.all(pending.map(pipeline => pipeline.finished)).then(() => true),
+    new Promise(resolve => { timer = setTimeout(() => resolve(false), timeoutMs); })
+  ]);
+  clearTimeout(timer);
+
+  if (finished) {
+    console.log('✓ All recordings finalized');
+    return true;
+  }
+
+  for (const pipeline of runningPipelines) {
+    console.warn(`⚠️  ${pipeline.filename} was not finalized in time, it will be repaired on the next start`);
+    try { pipeline.ffmpeg.kill('SIGKILL'); } catch (e) {}
+  }
+  return false;
+}
+
+// Last resort when the process exits without a graceful shutdown: ask every
+// FFmpeg to finish its file, which it does on its own after we are gone
+function stopAllRecordingsOnExit() {
+  for (const pipeline of runningPipelines) {
+    if (!isRunning(pipeline.ffmpeg)) continue;
+    try { pipeline.ffmpeg.kill('SIGINT'); } catch (e) {}
   }
 }
 
 function getActiveRecordings() {
-  return Array.from(recordings.entries()).map(([producerId, rec]) => ({
-    producerId,
-    deviceName: rec.deviceName,
-    filepath: rec.filepath,
-    startTime: rec.startTime,
-    duration: new Date() - rec.startTime
-  }));
+  return Array.from(recordings.values())
+    .filter(session => session.pipeline)
+    .map(session => ({
+      clientId: session.clientId,
+      producerIds: session.pipeline.tracks.map(t => t.producerId),
+      kinds: session.pipeline.tracks.map(t => t.kind),
+      deviceName: session.deviceName,
+      filepath: session.pipeline.filepath,
+      segmented: session.pipeline.segmented,
+      startTime: session.pipeline.startTime,
+      duration: new Date() - session.pipeline.startTime,
+      restarts: session.failures || 0
+    }));
+}
+
+// Stop sessions whose device went away without the recording being stopped,
+// and close transports no pipeline owns any more
+function superviseRecordings() {
+  const inUse = new Set();
+
+  for (const session of Array.from(recordings.values())) {
+    const { pipeline } = session;
+    if (!pipeline) continue;
+
+    const producersGone = pipeline.relay
+      ? !preroll.isArmed(session.clientId)
+      : pipeline.tracks.every(track => track.consumer.closed);
+    if (producersGone) {
+      console.warn(`⚠️  Recording for ${session.deviceName} has no producers left, stopping`);
+      stopSession(session);
+      continue;
+    }
+    pipeline.tracks.forEach(track => inUse.add(track));
+  }
+
+  // Give sessions that are still starting time to claim their tracks
+  for (const track of Array.from(openTracks)) {
+    if (!inUse.has(track) && Date.now() - track.openedAt > 30000) {
+      console.warn(`⚠️  Closing orphaned recording transport for producer ${track.producerId}`);
+      closeRtpTrack(track);
+      openTracks.delete(track);
+    }
+  }
+}
+
+setInterval(superviseRecordings, 30000).unref();
+
+function setDeviceState(clientId, deviceName, state, { filename = null, error = null } = {}) {
+  const entry = { clientId, deviceName, state, filename, error, since: new Date() };
+  deviceStates.set(clientId, entry);
+  emitter.emit('state', entry);
+}
+
+function getDeviceState(clientId) {
+  if (!ffmpegAvailable) {
+    return { clientId, state: 'unavailable', error: 'FFmpeg not available' };
+  }
+  return deviceStates.get(clientId) || { clientId, state: 'stopped' };
+}
+
+function listDeviceStates() {
+  return Array.from(deviceStates.values());
+}
+
+// Forget a device that has disconnected
+function clearDeviceState(clientId) {
+  deviceStates.delete(clientId);
 }
 
 function isRecordingEnabled() {
   return ffmpegAvailable;
 }
 
-process.on('exit', stopAllRecordings);
-process.on('SIGINT', stopAllRecordings);
-process.on('SIGTERM', stopAllRecordings);
+process.on('exit', stopAllRecordingsOnExit);
 
 module.exports = {
   startRecording,
+  startTriggeredRecording,
   stopRecording,
+  stopDeviceRecording,
   stopAllRecordings,
+  finalizeRecording,
   getActiveRecordings,
+  getDeviceState,
+  listDeviceStates,
+  clearDeviceState,
   isRecordingEnabled,
-  recordings
+  parseRecordingFilename,
+  getActiveFiles,
+  recordings,
+  emitter
 };
@@ -0,0 +1,312 @@
+const path = require('path');
+const fs = require('fs');
+const config = require('./config');
+const recorder = require('./recorder');
+const preroll = require('./preroll');
+const motion = require('./motion');
+const schedules = require('./schedules');
+
+// How each device is recorded:
+//   continuous - everything while the device streams
+//   motion     - only around motion events, with pre-roll and post-roll
+//   off        - not at all
+const MODES = ['continuous', 'motion', 'off'];
+
+// How a device's video is written:
+//   copy    - as received, no re-encoding (low CPU)
+//   overlay - re-encoded with the device name and local time burned in
+//             (see recording.overlay)
+const PROFILES = ['copy', 'overlay'];
+
+// Per-device modes, keyed by device name since client ids change on every
+// reconnect. Persisted in <recording.directory>/recording-modes.json.
+let modes = null;
+
+// Per-device profiles, keyed by device name like the modes. Persisted in
+// <recording.directory>/recording-profiles.json.
+let profiles = null;
+
+// Pending post-roll stops, keyed by the streaming client's id
+const postRollTimers = new Map();
+
+// Streaming clients recording because an operator asked; motion post-roll
+// doesn't stop these
+const manualRecordings = new Set();
+
+// Manually recording clients whose mode, profile or schedule changed while
+// they were; the change is applied once the operator stops the recording
+const deferredChanges = new Set();
+
+class RecordingControlError extends Error {}
+
+function getModesPath() {
+  return path.join(path.resolve(config.recording.directory), 'recording-modes.json');
+}
+
+function load() {
+  if (modes) return modes;
+  modes = {};
+  try {
+    if (fs.existsSync(getModesPath())) {
+      modes = JSON.parse(fs.readFileSync(getModesPath(), 'utf8'));
+    }
+  } catch (error) {
+    console.error('Failed to read recording modes:', error.message);
+  }
+  return modes;
+}
+
+function save() {
+  try {
+    fs.mkdirSync(path.dirname(getModesPath()), { recursive: true });
+    fs.writeFileSync(getModesPath(), JSON.stringify(modes, null, 2));
+  } catch (error) {
+    console.error('Failed to save recording modes:', error.message);
+  }
+}
+
+function getProfilesPath() {
+  return path.join(path.resolve(config.recording.directory), 'recording-profiles.json');
+}
+
+function loadProfiles() {
+  if (profiles) return profiles;
+  profiles = {};
+  try {
+    if (fs.existsSync(getProfilesPath())) {
+      profiles = JSON.parse(fs.readFileSync(getProfilesPath(), 'utf8'));
+    }
+  } catch (error) {
+    console.error('Failed to read recording profiles:', error.message);
+  }
+  return profiles;
+}
+
+function saveProfiles() {
+  try {
+    fs.mkdirSync(path.dirname(getProfilesPath()), { recursive: true });
+    fs.writeFileSync(getProfilesPath(), JSON.stringify(profiles, null, 2));
+  } catch (error) {
+    console.error('Failed to save recording profiles:', error.message);
+  }
+}
+
+function getDefaultMode() {
+  return MODES.includes(config.recording.mode) ? config.recording.mode : 'continuous';
+}
+
+function getMode(deviceName) {
+  return load()[deviceName] || getDefaultMode();
+}
+
+function getDefaultProfile() {
+  return PROFILES.includes(config.recording.profile) ? config.recording.profile : 'copy';
+}
+
+function getProfile(deviceName) {
+  return loadProfiles()[deviceName] || getDefaultProfile();
+}
+
+function getPostRollSeconds() {
+  return config.recording.motion?.postRollSeconds ?? 10;
+}
+
+// Called for every new producer instead of starting the recorder directly
+async function handleProducer(producerId, deviceName) {
+  if (!schedules.checkDevice(deviceName)) {
+    console.log(`Recording skipped for ${deviceName} - outside its schedule`);
+    return null;
+  }
+
+  switch (getMode(deviceName)) {
+    case 'continuous':
+      return recorder.startRecording(producerId, deviceName);
+    case 'motion':
+      return preroll.addTrack(producerId, deviceName);
+    default:
+      return null;
+  }
+}
+
+function clearPostRoll(clientId) {
+  clearTimeout(postRollTimers.get(clientId));
+  postRollTimers.delete(clientId);
+}
+
+// Stop whatever is recording or buffering a device
+function releaseDevice(clientId) {
+  clearPostRoll(clientId);
+  manualRecordings.delete(clientId);
+  deferredChanges.delete(clientId);
+  recorder.stopDeviceRecording(clientId);
+  preroll.disarm(clientId);
+}
+
+// The connected streaming clients using a device name
+function findClients(deviceName) {
+  const mediasoupModule = require('./mediasoup');
+  const clients = new Map();
+  for (const [producerId, data] of mediasoupModule.producers) {
+    if (data.deviceName !== deviceName) continue;
+    if (!clients.has(data.clientId)) clients.set(data.clientId, []);
+    clients.get(data.clientId).push(producerId);
+  }
+  return clients;
+}
+
+// Change a device's mode and apply it to the device right away if connected
+function setMode(deviceName, mode) {
+  if (!MODES.includes(mode)) {
+    throw new Error(`Mode must be one of: ${MODES.join(', ')}`);
+  }
+  if (mode === 'motion' && config.motion?.enabled === false) {
+    throw new Error('Motion detection is disabled (motion.enabled in config.js)');
+  }
+
+  load();
+  if (mode === getDefaultMode()) {
+    delete modes[deviceName];
+  } else {
+    modes[deviceName] = mode;
+  }
+  save();
+  console.log(`Recording mode for ${deviceName}: ${mode}`);
+
+  applyDevice(deviceName);
+  return mode;
+}
+
+// Change a device's profile; connected devices are restarted as for a mode change
+function setProfile(deviceName, profile) {
+  if (!PROFILES.includes(profile)) {
+    throw new Error(`Profile must be one of: ${PROFILES.join(', ')}`);
+  }
+
+  loadProfiles();
+  if (profile === getDefaultProfile()) {
+    delete profiles[deviceName];
+  } else {
+    profiles[deviceName] = profile;
+  }
+  saveProfiles();
+  console.log(`Recording profile for ${deviceName}: ${profile}`);
+
+  applyDevice(deviceName);
+  return profile;
+}
+
+// Restart recording for a streaming client under its device's current mode and schedule
+function applyClient(clientId, deviceName, producerIds) {
+  releaseDevice(clientId);
+  for (const producerId of producerIds) {
+    handleProducer(producerId, deviceName).catch((error) => {
+      console.error(`Failed to apply recording mode for ${deviceName}:`, error);
+    });
+  }
+}
+
+// Restart recording for a connected device under its current mode and
+// schedule. An operator's "record now" keeps running until they stop it.
+function applyDevice(deviceName) {
+  for (const [clientId, producerIds] of findClients(deviceName)) {
+    if (manualRecordings.has(clientId)) {
+      deferredChanges.add(clientId);
+      continue;
+    }
+    applyClient(clientId, deviceName, producerIds);
+  }
+}
+
+// "Record now": start recording a streaming client regardless of its mode
+// and schedule. Devices buffering for motion mode include their pre-roll.
+async function startManualRecording(clientId) {
+  const mediasoupModule = require('./mediasoup');
+  const producers = Array.from(mediasoupModule.producers.entries())
+    .filter(([, data]) => data.clientId === clientId);
+  if (producers.length === 0) {
+    throw new RecordingControlError('Device is not streaming');
+  }
+  if (!recorder.isRecordingEnabled()) {
+    throw new RecordingControlError('FFmpeg not available');
+  }
+
+  const { deviceName } = producers[0][1];
+  manualRecordings.add(clientId);
+  clearPostRoll(clientId);
+  console.log(`Manual recording requested for ${deviceName}`);
+
+  if (preroll.isArmed(clientId)) {
+    return recorder.startTriggeredRecording(clientId, deviceName);
+  }
+  const results = await Promise.all(producers.map(([producerId]) => recorder.startRecording(producerId, deviceName)));
+  return results.find(Boolean) || null;
+}
+
+// Stop a device's recording until its mode, schedule or motion starts it again
+function stopManualRecording(clientId) {
+  manualRecordings.delete(clientId);
+  clearPostRoll(clientId);
+  const result = recorder.stopDeviceRecording(clientId);
+
+  // Mode, profile or schedule changes made while it recorded apply now
+  if (deferredChanges.delete(clientId)) {
+    const mediasoupModule = require('./mediasoup');
+    const producers = Array.from(mediasoupModule.producers.entries())
+      .filter(([, data]) => data.clientId === clientId);
+    if (producers.length > 0) {
+      applyClient(clientId, producers[0][1].deviceName, producers.map(([producerId]) => producerId));
+    }
+  }
+  return result;
+}
+
+function listModes() {
+  return { defaultMode: getDefaultMode(), modes: { ...load() }, available: MODES };
+}
+
+function listProfiles() {
+  return { defaultProfile: getDefaultProfile(), profiles: { ...loadProfiles() }, available: PROFILES };
+}
+
+// Schedule windows opening or closing start or stop recording
+schedules.emitter.on('change', (deviceName) => applyDevice(deviceName));
+
+// Motion starts (or extends) a recording for devices in motion mode
+motion.emitter.on('motion-start', (event) => {
+  if (getMode(event.deviceName) !== 'motion' || !preroll.isArmed(event.deviceId)) return;
+
+  clearPostRoll(event.deviceId);
+  recorder.startTriggeredRecording(event.deviceId, event.deviceName).catch((error) => {
+    console.error(`Failed to start motion recording for ${event.deviceName}:`, error);
+  });
+});
+
+// ...and stops it postRollSeconds after the last motion
+motion.emitter.on('motion-end', (event) => {
+  if (getMode(event.deviceName) !== 'motion' || !recorder.recordings.has(event.deviceId)) return;
+  if (manualRecordings.has(event.deviceId)) return;
+
+  const stopAt = new Date(event.endedAt).getTime() + getPostRollSeconds() * 1000;
+  clearPostRoll(event.deviceId);
+  postRollTimers.set(event.deviceId, setTimeout(() => {
+    postRollTimers.delete(event.deviceId);
+    console.log(`Motion recording post-roll over for ${event.deviceName}`);
+    recorder.stopDeviceRecording(event.deviceId);
+  }, Math.max(0, stopAt - Date.now())));
+});
+
+module.exports = {
+  MODES,
+  PROFILES,
+  getMode,
+  setMode,
+  listModes,
+  getProfile,
+  setProfile,
+  listProfiles,
+  handleProducer,
+  releaseDevice,
+  startManualRecording,
+  stopManualRecording,
+  RecordingControlError
+};
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const { execFile } = require('child_process');
+const catalog = require('./catalog');
+const storage = require('./storage');
+const { runFfmpeg } = require('./ffmpeg');
+
+// Repair of recordings FFmpeg didn't finish writing: it was killed, crashed,
+// or the server went down mid-recording. Such Matroska files have no cues and
+// no duration, so players can't seek in them or show their length. Remuxing
+// writes both. Files waiting for this are flagged pendingRepair in the
+// catalog, so an interrupted repair is picked up again on the next start.
+// The outcome is kept in the entry as repair: { status, at, originalSize, error }.
+
+// Repairs run one at a time: remuxing reads and writes the whole file
+let queue = Promise.resolve();
+
+// Media duration in seconds as written in the file; null if the file has
+// none (not finalized), undefined if it can't be probed
+function probeDuration(filepath) {
+  return new Promise(resolve => {
+    execFile('ffprobe', [
+      '-v', 'error',
+      '-show_entries', 'format=duration',
+      '-of', 'csv=p=0',
+      filepath
+    ], { encoding: 'utf8', timeout: 30000 }, (error, output) => {
+      if (error) return resolve(undefined);
+      const duration = parseFloat(output.trim());
+      resolve(isNaN(duration) ? null : duration);
+    });
+  });
+}
+
+async function remux(name) {
+  const filepath = storage.getRecordingPath(name);
+  const tmpPath = `${filepath}.repair.tmp`;
+  const originalSize = fs.statSync(filepath).size;
+
+  try {
+    // A torn last cluster is dropped rather than failing the whole remux
+    await runFfmpeg([
+      '-y',
+      '-fflags', '+genpts+discardcorrupt',
+      '-err_detect', 'ignore_err',
+      '-i', filepath,
+      '-map', '0',
+      '-c', 'copy',
+      '-f', 'matroska',
+      tmpPath
+    ]);
+
+    const duration = await probeDuration(tmpPath);
+    if (!duration) throw new Error('the remuxed file has no duration either');
+
+    fs.renameSync(tmpPath, filepath);
+    return { duration, originalSize };
+  } finally {
+    try { if (fs.existsSync(tmpPath)) fs.unlinkSync(tmpPath); } catch (e) {}
+  }
+}
+
+async function runRepair(name) {
+  const entry = catalog.getEntry(name);
+  if (!entry?.pendingRepair) return entry;
+  const filepath = storage.getRecordingPath(name);
+  if (!fs.existsSync(filepath)) return null;
+
+  const duration = await probeDuration(filepath);
+  let changes = { pendingRepair: false };
+
+  if (duration === undefined) {
+    // Not readable by ffprobe at all (no ffprobe, or nothing but a header):
+    // keep the file as it is
+    console.warn(`⚠️  Could not check whether ${name} was finalized, leaving it as it is`);
+  } else if (duration === null) {
+    console.log(`Repairing unfinalized recording ${name}...`);
+    try {
+      const result = await remux(name);
+      const stats = fs.statSync(filepath);
+      changes = {
+        ...changes,
+        duration: result.duration,
+        size: stats.size,
+        modified: stats.mtime,
+        repair: { status: 'repaired', at: new Date(), originalSize: result.originalSize, error: null }
+      };
+      // Anything derived from the broken file is rebuilt from the repaired one
+      require('./thumbnails').removeThumbnails(name);
+      require('./playback').removePlaybackCache(name);
+      console.log(`✓ Repaired ${name} (${result.duration.toFixed(1)}s)`);
+    } catch (error) {
+      // Removed (e.g. by retention) while it was being repaired
+      if (!catalog.getEntry(name)) return null;
+      changes.repair = { status: 'failed', at: new Date(), originalSize: null, error: error.message };
+      console.error(`❌ Failed to repair ${name}: ${error.message}`);
+    }
+  }
+
+  if (!catalog.getEntry(name)) return null;
+  catalog.updateEntry(name, changes);
+
+  // Hash, encrypt and thumbnail the file now that it is final
+  await require('./recorder').finalizeRecording(name);
+  return catalog.getEntry(name);
+}
+
+// Queue a recording flagged pendingRepair: repaired if it turns out not to be
+// finalized, then finalized (hashed, encrypted, thumbnailed) either way.
+// Resolves with the updated catalog entry, null if the file is gone.
+function repairRecording(name) {
+  const result = queue.then(() => runRepair(name));
+  queue = result.catch(() => {});
+  return result;
+}
+
+// Startup: repair everything a previous run left pendingRepair (see
+// catalog.reconcileCatalog). Runs in the background; recordings stay
+// playable as they are until their turn comes.
+function repairRecordings() {
+  const pending = catalog.listEntries().filter(entry => entry.pendingRepair && entry.status !== 'recording');
+  if (pending.length === 0) return Promise.resolve(0);
+
+  if (!require('./recorder').isRecordingEnabled()) {
+    console.warn(`⚠️  ${pending.length} unfinalized recording(s) can't be repaired without FFmpeg`);
+    return Promise.resolve(0);
+  }
+
+  console.log(`Checking ${pending.length} recording(s) left unfinalized by the previous run...`);
+  return Promise.all(pending.map(entry => repairRecording(entry.name).catch((error) => {
+    console.error(`❌ Failed to repair ${entry.name}: ${error.message}`);
+    return null;
+  }))).then(results => results.filter(entry => entry?.repair?.status === 'repaired').length);
+}
+
+module.exports = {
+  repairRecording,
+  repairRecordings
+};
@@ -0,0 +1,223 @@
+const path = require('path');
+const fs = require('fs');
+const config = require('./config');
+const recorder = require('./recorder');
+const catalog = require('./catalog');
+const storage = require('./storage');
+
+const GB = 1024 * 1024 * 1024;
+
+// Files modified this recently may still be flushed by a stopping FFmpeg
+const MIN_IDLE_MS = 30 * 1000;
+
+// Keep the most recent pruning decisions for the API
+const MAX_HISTORY = 100;
+
+// Filenames protected from pruning, persisted next to the recordings
+let locked = null;
+const history = [];
+let lastRun = null;
+let prunedThisRun = 0;
+let timer = null;
+
+function getPolicy() {
+  const retention = config.recording.retention || {};
+  return {
+    maxAgeDays: retention.maxAgeDays || 0,
+    maxTotalGB: retention.maxTotalGB || 0,
+    maxDeviceGB: retention.maxDeviceGB || 0,
+    protectLocked: retention.protectLocked !== false,
+    checkIntervalMinutes: retention.checkIntervalMinutes || 10
+  };
+}
+
+function getLocksPath() {
+  return path.join(path.resolve(config.recording.directory), 'locks.json');
+}
+
+function loadLocks() {
+  if (locked) return locked;
+
+  locked = new Set();
+  try {
+    const locksPath = getLocksPath();
+    if (fs.existsSync(locksPath)) {
+      for (const name of JSON.parse(fs.readFileSync(locksPath, 'utf8'))) {
+        locked.add(name);
+      }
+    }
+  } catch (error) {
+    console.error('Failed to read recording locks:', error.message);
+  }
+  return locked;
+}
+
+function saveLocks() {
+  try {
+    fs.writeFileSync(getLocksPath(), JSON.stringify(Array.from(loadLocks()), null, 2));
+  } catch (error) {
+    console.error('Failed to save recording locks:', error.message);
+  }
+}
+
+function isLocked(filename) {
+  return loadLocks().has(filename);
+}
+
+// Lock or unlock one filename or a list of them, saving the locks once
+function setLocked(filenames, lock) {
+  const locks = loadLocks();
+  for (const filename of [].concat(filenames)) {
+    if (lock) {
+      locks.add(filename);
+    } else {
+      locks.delete(filename);
+    }
+  }
+  saveLocks();
+}
+
+// Forget the lock of a file that no longer exists
+function forget(filename) {
+  if (loadLocks().delete(filename)) saveLocks();
+}
+
+function prune(file, reason) {
+  try {
+    storage.deleteRecording(file.name);
+  } catch (error) {
+    console.error(`Retention: failed to delete ${file.name}: ${error.message}`);
+    return false;
+  }
+
+  prunedThisRun++;
+
+  const entry = {
+    name: file.name,
+    deviceName: file.deviceName,
+    size: file.size,
+    modified: file.modified,
+    reason,
+    prunedAt: new Date()
+  };
+  history.unshift(entry);
+  history.length = Math.min(history.length, MAX_HISTORY);
+
+  console.log(`Retention: deleted ${file.name} (${reason})`);
+  return true;
+}
+
+// Delete the oldest prunable files from the list until it fits under capBytes
+function pruneToCap(files, capBytes, reason) {
+  let total = files.reduce((sum, f) => sum + f.size, 0);
+
+  const oldestFirst = files
+    .filter(f => f.prunable)
+    .sort((a, b) => a.modified - b.modified);
+
+  for (const file of oldestFirst) {
+    if (total <= capBytes) break;
+    if (file.deleted) continue;
+    if (prune(file, reason)) {
+      file.deleted = true;
+      total -= file.size;
+    }
+  }
+
+  if (total > capBytes) {
+    console.warn(`Retention: ${reason} still exceeded after pruning (locked or active recordings)`);
+  }
+}
+
+// Apply the retention policy once. Files being written and (optionally)
+// locked files are never deleted.
+function runRetention() {
+  const policy = getPolicy();
+  const now = Date.now();
+
+  const activeFiles = recorder.getActiveFiles();
+  prunedThisRun = 0;
+
+  const files = catalog.listEntries().map(entry => {
+    const modified = new Date(entry.modified || entry.endedAt || entry.startedAt);
+    const protectedByLock = policy.protectLocked && isLocked(entry.name);
+    const active = activeFiles.has(entry.name) || entry.status === 'recording' || now - modified < MIN_IDLE_MS;
+    return {
+      name: entry.name,
+      size: entry.size || 0,
+      modified,
+      deviceName: entry.deviceName,
+      prunable: !protectedByLock && !active,
+      deleted: false
+    };
+  });
+
+  // 1. Maximum age
+  if (policy.maxAgeDays > 0) {
+    const cutoff = now - policy.maxAgeDays * 24 * 60 * 60 * 1000;
+    for (const file of files) {
+      if (file.prunable && file.modified < cutoff && prune(file, `older than ${policy.maxAgeDays} days`)) {
+        file.deleted = true;
+      }
+    }
+  }
+
+  // 2. Per-device size cap
+  if (policy.maxDeviceGB > 0) {
+    const byDevice = new Map();
+    for (const file of files.filter(f => !f.deleted)) {
+      if (!byDevice.has(file.deviceName)) byDevice.set(file.deviceName, []);
+      byDevice.get(file.deviceName).push(file);
+    }
+    for (const [deviceName, deviceFiles] of byDevice) {
+      pruneToCap(deviceFiles, policy.maxDeviceGB * GB, `${deviceName} over ${policy.maxDeviceGB} GB device cap`);
+    }
+  }
+
+  // 3. Total size cap
+  if (policy.maxTotalGB > 0) {
+    pruneToCap(files.filter(f => !f.deleted), policy.maxTotalGB * GB, `over ${policy.maxTotalGB} GB total cap`);
+  }
+
+  lastRun = { time: new Date(), checked: files.length, pruned: prunedThisRun };
+  return lastRun;
+}
+
+function startRetention() {
+  const policy = getPolicy();
+  if (!policy.maxAgeDays && !policy.maxTotalGB && !policy.maxDeviceGB) {
+    console.log('Retention: no limits configured, recordings are kept forever');
+    return;
+  }
+
+  console.log(`Retention: max age ${policy.maxAgeDays || '∞'} days, total ${policy.maxTotalGB || '∞'} GB, per device ${policy.maxDeviceGB || '∞'} GB`);
+
+  runRetention();
+  timer = setInterval(runRetention, policy.checkIntervalMinutes * 60 * 1000);
+  timer.unref();
+}
+
+function stopRetention() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+function getRetentionStatus() {
+  return {
+    policy: getPolicy(),
+    lastRun,
+    pruned: history
+  };
+}
+
+module.exports = {
+  startRetention,
+  stopRetention,
+  runRetention,
+  getRetentionStatus,
+  isLocked,
+  setLocked,
+  forget
+};
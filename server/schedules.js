@@ -0,0 +1,234 @@
+const path = require('path');
+const fs = require('fs');
+const EventEmitter = require('events');
+const config = require('./config');
+
+// Weekly recording schedules. A device that is targeted by an enabled
+// schedule (directly or through a group) only records inside that schedule's
+// time windows; devices without a schedule record all the time. Times are the
+// server's local time. Persisted in <recording.directory>/schedules.json:
+//
+//   {
+//     groups: { "Shop": ["Shop floor", "Till"] },
+//     schedules: [{
+//       id, name, enabled,
+//       devices: ["Front door"], groups: ["Shop"],
+//       windows: [{ days: [1, 2, 3, 4, 5], start: "18:00", end: "08:00" }]
+//     }]
+//   }
+//
+// A window whose end is not after its start runs past midnight into the next day.
+let data = null;
+
+// Whether each device was inside its schedule at the last check, keyed by device name
+const lastState = new Map();
+let timer = null;
+
+// Emits 'change' (deviceName, allowed) when a device crosses a window boundary
+const emitter = new EventEmitter();
+
+class ScheduleError extends Error {}
+
+const TIME_PATTERN = /^([01]\d|2[0-4]):([0-5]\d)$/;
+
+function getSchedulesPath() {
+  return path.join(path.resolve(config.recording.directory), 'schedules.json');
+}
+
+function load() {
+  if (data) return data;
+  data = { groups: {}, schedules: [] };
+  try {
+    if (fs.existsSync(getSchedulesPath())) {
+      data = { ...data, ...JSON.parse(fs.readFileSync(getSchedulesPath(), 'utf8')) };
+    }
+  } catch (error) {
+    console.error('Failed to read recording schedules:', error.message);
+  }
+  return data;
+}
+
+function save() {
+  fs.mkdirSync(path.dirname(getSchedulesPath()), { recursive: true });
+  const tmpPath = `${getSchedulesPath()}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpPath, getSchedulesPath());
+}
+
+function toMinutes(time) {
+  const [, hours, minutes] = time.match(TIME_PATTERN);
+  return parseInt(hours, 10) * 60 + parseInt(minutes, 10);
+}
+
+function validateWindow(window, label) {
+  if (!window || !Array.isArray(window.days) || window.days.length === 0 ||
+      !window.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+    throw new ScheduleError(`${label}: days must be a non-empty list of 0 (Sunday) to 6 (Saturday)`);
+  }
+  for (const field of ['start', 'end']) {
+    if (typeof window[field] !== 'string' || !TIME_PATTERN.test(window[field]) || toMinutes(window[field]) > 1440) {
+      throw new ScheduleError(`${label}: ${field} must be a time like "08:30"`);
+    }
+  }
+  return { days: [...new Set(window.days)].sort(), start: window.start, end: window.end };
+}
+
+function validateSchedule(schedule, index, groups) {
+  const label = `Schedule ${schedule?.name || index + 1}`;
+  if (!schedule || typeof schedule !== 'object') {
+    throw new ScheduleError(`${label} must be an object`);
+  }
+
+  const devices = (schedule.devices || []).map(String).filter(Boolean);
+  const scheduleGroups = (schedule.groups || []).map(String).filter(Boolean);
+  const unknown = scheduleGroups.find(group => !groups[group]);
+  if (unknown) {
+    throw new ScheduleError(`${label}: unknown group "${unknown}"`);
+  }
+  if (!Array.isArray(schedule.windows)) {
+    throw new ScheduleError(`${label}: windows must be a list`);
+  }
+
+  return {
+    id: schedule.id || `schedule-${Date.now()}-${index}`,
+    name: String(schedule.name || `Schedule ${index + 1}`),
+    enabled: schedule.enabled !== false,
+    devices,
+    groups: scheduleGroups,
+    windows: schedule.windows.map((window, i) => validateWindow(window, `${label}, window ${i + 1}`))
+  };
+}
+
+// Replace all groups and schedules
+function setSchedules(body = {}) {
+  const groups = {};
+  for (const [name, devices] of Object.entries(body.groups || {})) {
+    if (!Array.isArray(devices)) {
+      throw new ScheduleError(`Group ${name} must be a list of device names`);
+    }
+    groups[name] = devices.map(String).filter(Boolean);
+  }
+
+  if (body.schedules !== undefined && !Array.isArray(body.schedules)) {
+    throw new ScheduleError('schedules must be a list');
+  }
+  const schedules = (body.schedules || []).map((schedule, i) => validateSchedule(schedule, i, groups));
+
+  data = { groups, schedules };
+  save();
+  console.log(`Recording schedules updated (${schedules.length} schedules, ${Object.keys(groups).length} groups)`);
+
+  checkSchedules();
+  return getSchedules();
+}
+
+function getSchedules() {
+  return load();
+}
+
+function schedulesFor(deviceName) {
+  const { groups, schedules } = load();
+  return schedules.filter(schedule => schedule.enabled && (
+    schedule.devices.includes(deviceName) ||
+    schedule.groups.some(group => (groups[group] || []).includes(deviceName))
+  ));
+}
+
+function isWithinWindow(window, date) {
+  const day = date.getDay();
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const start = toMinutes(window.start);
+  const end = toMinutes(window.end);
+
+  if (end > start) {
+    return window.days.includes(day) && minutes >= start && minutes < end;
+  }
+  // Overnight: from start on a listed day until end the following day
+  return (window.days.includes(day) && minutes >= start) ||
+    (window.days.includes((day + 6) % 7) && minutes < end);
+}
+
+// Whether a device may record right now
+function isRecordingAllowed(deviceName, date = new Date()) {
+  const schedules = schedulesFor(deviceName);
+  if (schedules.length === 0) return true;
+  return schedules.some(schedule => schedule.windows.some(window => isWithinWindow(window, date)));
+}
+
+// Whether a device that just connected may record now. Remembered as its
+// state, so the next check reports a window opening or closing right after.
+function checkDevice(deviceName) {
+  const allowed = isRecordingAllowed(deviceName);
+  lastState.set(deviceName, allowed);
+  return allowed;
+}
+
+// Names of the devices currently streaming
+function getConnectedDevices() {
+  const mediasoupModule = require('./mediasoup');
+  return new Set(Array.from(mediasoupModule.producers.values()).map(data => data.deviceName));
+}
+
+// Compare every connected device against its schedule and report boundary crossings
+function checkSchedules() {
+  const connected = getConnectedDevices();
+
+  for (const deviceName of connected) {
+    const allowed = isRecordingAllowed(deviceName);
+    const previous = lastState.get(deviceName);
+    lastState.set(deviceName, allowed);
+
+    if (previous !== undefined && previous !== allowed) {
+      console.log(`Schedule: ${deviceName} ${allowed ? 'entered' : 'left'} its recording window`);
+      emitter.emit('change', deviceName, allowed);
+    }
+  }
+
+  for (const deviceName of Array.from(lastState.keys())) {
+    if (!connected.has(deviceName)) lastState.delete(deviceName);
+  }
+}
+
+function getScheduleStatus() {
+  return Array.from(getConnectedDevices()).map(deviceName => ({
+    deviceName,
+    scheduled: schedulesFor(deviceName).length > 0,
+    recordingAllowed: isRecordingAllowed(deviceName)
+  }));
+}
+
+// Window boundaries are whole minutes, so checking at the start of every minute is enough
+function startScheduler() {
+  if (timer) return;
+  load();
+
+  const tick = () => {
+    try {
+      checkSchedules();
+    } catch (error) {
+      console.error('Schedule check failed:', error.message);
+    }
+    timer = setTimeout(tick, 60000 - (Date.now() % 60000) + 50);
+    timer.unref();
+  };
+  tick();
+
+  console.log(`✓ Recording schedules loaded (${data.schedules.length} schedules)`);
+}
+
+function stopScheduler() {
+  clearTimeout(timer);
+  timer = null;
+}
+
+module.exports = {
+  getSchedules,
+  setSchedules,
+  isRecordingAllowed,
+  checkDevice,
+  getScheduleStatus,
+  startScheduler,
+  stopScheduler,
+  emitter,
+  ScheduleError
+};
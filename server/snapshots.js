@@ -0,0 +1,156 @@
+const { spawn } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const config = require('./config');
+const { createRtpTrack, closeRtpTrack, buildSdp, waitForListeners } = require('./plain-rtp');
+
+// Recent JPEG snapshots, keyed by device id, width and quality. A capture in
+// progress is shared by every request for the same key, and its result is
+// served for snapshots.cacheSeconds, so a dashboard polling many cameras
+// doesn't start a decoder per request.
+const cache = new Map();
+
+class SnapshotError extends Error {}
+
+function getOptions() {
+  const snapshots = config.snapshots || {};
+  return {
+    cacheSeconds: snapshots.cacheSeconds ?? 2,
+    timeoutSeconds: snapshots.timeoutSeconds || 10,
+    quality: snapshots.quality || 80,
+    maxWidth: snapshots.maxWidth || 3840
+  };
+}
+
+// Validate ?width= and ?quality= (1-100, higher is better)
+function parseParams({ width, quality } = {}) {
+  const options = getOptions();
+  const params = { width: null, quality: options.quality };
+
+  if (width !== undefined && width !== '') {
+    params.width = Number(width);
+    if (!Number.isInteger(params.width) || params.width < 16 || params.width > options.maxWidth) {
+      throw new SnapshotError(`width must be a whole number from 16 to ${options.maxWidth}`);
+    }
+  }
+  if (quality !== undefined && quality !== '') {
+    params.quality = Number(quality);
+    if (!Number.isInteger(params.quality) || params.quality < 1 || params.quality > 100) {
+      throw new SnapshotError('quality must be a whole number from 1 to 100');
+    }
+  }
+  return params;
+}
+
+// The mjpeg encoder's -q:v runs from 2 (best) to 31 (worst)
+function toFfmpegQuality(quality) {
+  return String(2 + Math.round((100 - quality) * 29 / 99));
+}
+
+function findVideoProducer(deviceId) {
+  const mediasoupModule = require('./mediasoup');
+  for (const data of mediasoupModule.producers.values()) {
+    if (data.clientId === deviceId && data.kind === 'video') return data;
+  }
+  return null;
+}
+
+// Decode the device's video until the first complete frame and encode it as JPEG
+async function capture(deviceId, { width, quality }) {
+  const producerData = findVideoProducer(deviceId);
+  if (!producerData) {
+    throw new Error('Device has no active video');
+  }
+
+  const mediasoupModule = require('./mediasoup');
+  const track = await createRtpTrack(mediasoupModule.router, producerData.producer);
+  const sdpPath = path.join(os.tmpdir(), `lan-cctv-snapshot-${deviceId}-${track.rtpPort}.sdp`);
+  let ffmpeg = null;
+  let timer = null;
+
+  try {
+    fs.writeFileSync(sdpPath, buildSdp([track]));
+
+    ffmpeg = spawn('ffmpeg', [
+      '-hide_banner',
+      '-loglevel', 'error',
+      '-protocol_whitelist', 'file,udp,rtp',
+      '-fflags', '+discardcorrupt',
+      '-i', sdpPath,
+      '-map', '0:v',
+      '-frames:v', '1',
+      ...(width ? ['-vf', `scale=${width}:-2`] : []),
+      '-q:v', toFfmpegQuality(quality),
+      '-f', 'image2pipe',
+      '-c:v', 'mjpeg',
+      'pipe:1'
+    ], { stdio: ['ignore', 'pipe', 'pipe'] });
+
+    const chunks = [];
+    let stderr = '';
+    ffmpeg.stdout.on('data', (data) => chunks.push(data));
+    ffmpeg.stderr.on('data', (data) => { stderr = (stderr + data.toString()).slice(-2000); });
+
+    const finished = new Promise((resolve, reject) => {
+      ffmpeg.on('error', reject);
+      ffmpeg.on('close', (code) => {
+        const image = Buffer.concat(chunks);
+        if (code === 0 && image.length > 0) return resolve(image);
+        reject(new Error(`FFmpeg exited with ${code}: ${stderr.trim().split('\n').pop()}`));
+      });
+    });
+    // Handled by the await below, unless starting up fails first
+    finished.catch(() => {});
+    // Nothing decodable arrived in time
+    timer = setTimeout(() => ffmpeg.kill('SIGKILL'), getOptions().timeoutSeconds * 1000);
+
+    await waitForListeners(ffmpeg, [track]);
+    await track.consumer.resume();
+    // Without a keyframe the decoder has nothing to start from
+    await track.consumer.requestKeyFrame();
+
+    return await finished;
+  } finally {
+    clearTimeout(timer);
+    if (ffmpeg && ffmpeg.exitCode === null) {
+      try { ffmpeg.kill('SIGKILL'); } catch (e) {}
+    }
+    closeRtpTrack(track);
+    try { if (fs.existsSync(sdpPath)) fs.unlinkSync(sdpPath); } catch (e) {}
+  }
+}
+
+function pruneCache(maxAge) {
+  for (const [key, entry] of cache) {
+    if (entry.image && Date.now() - entry.capturedAt > maxAge) cache.delete(key);
+  }
+}
+
+// Latest snapshot of a device: { image, capturedAt }
+async function getSnapshot(deviceId, query = {}) {
+  const params = parseParams(query);
+  const maxAge = getOptions().cacheSeconds * 1000;
+  pruneCache(maxAge);
+
+  const key = `${deviceId}:${params.width || 'full'}:${params.quality}`;
+  let entry = cache.get(key);
+  if (!entry) {
+    entry = { pending: capture(deviceId, params), image: null, capturedAt: null };
+    cache.set(key, entry);
+    entry.pending.then((image) => {
+      entry.image = image;
+      entry.capturedAt = Date.now();
+      entry.pending = null;
+      if (maxAge === 0) cache.delete(key);
+    }, () => cache.delete(key));
+  }
+
+  if (entry.pending) await entry.pending;
+  return { image: entry.image, capturedAt: new Date(entry.capturedAt) };
+}
+
+module.exports = {
+  getSnapshot,
+  SnapshotError
+};
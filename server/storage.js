@@ -0,0 +1,96 @@
+const path = require('path');
+const fs = require('fs');
+const config = require('./config');
+const catalog = require('./catalog');
+const thumbnails = require('./thumbnails');
+const encryption = require('./encryption');
+
+const VIDEO_FILE = /\.(mp4|webm|mkv)$/i;
+
+function getRecordingsDir() {
+  return path.resolve(config.recording.directory);
+}
+
+// A bare recording filename: no directory traversal, video extension only
+function isValidFilename(filename) {
+  if (!filename || filename.includes('..') || filename.includes('/') || filename.includes('\\')) {
+    return false;
+  }
+  return VIDEO_FILE.test(filename);
+}
+
+function getRecordingPath(filename) {
+  return path.join(getRecordingsDir(), filename);
+}
+
+function recordingExists(filename) {
+  return isValidFilename(filename) && fs.existsSync(getRecordingPath(filename));
+}
+
+// Delete a recording together with everything derived from it: catalog entry,
+// retention lock, thumbnails and playback cache
+function deleteRecording(filename) {
+  fs.unlinkSync(getRecordingPath(filename));
+
+  catalog.removeEntry(filename);
+  require('./retention').forget(filename);
+  thumbnails.removeThumbnails(filename);
+  require('./playback').removePlaybackCache(filename);
+}
+
+// Encrypt a finished recording at rest if recording.encryption is enabled.
+// Never throws: a file that can't be encrypted stays readable as it is, with
+// the reason kept as encryptionError in its catalog entry (shown in the list
+// and by `recordings:keys status`) until it is retried at the next start.
+async function encryptRecording(filename) {
+  const filepath = getRecordingPath(filename);
+  try {
+    const encrypted = await encryption.encryptFile(filepath);
+    const entry = catalog.getEntry(filename);
+    if (entry && (encrypted || entry.encryptionError)) {
+      catalog.updateEntry(filename, { size: fs.statSync(filepath).size, encryptionError: null });
+    }
+    return true;
+  } catch (error) {
+    console.error(`❌ Failed to encrypt ${filename}, it stays unencrypted: ${error.message}`);
+    if (catalog.getEntry(filename)) {
+      catalog.updateEntry(filename, { encryptionError: error.message });
+    }
+    return false;
+  }
+}
+
+// Startup: encrypt finished recordings left unencrypted, because encrypting
+// them failed or the server stopped before it got to them. One at a time, in
+// the background. Files waiting for repair are encrypted once repaired.
+async function encryptPendingRecordings() {
+  if (!encryption.isEnabled()) return 0;
+
+  const pending = catalog.listEntries().filter(entry => {
+    if (entry.status === 'recording' || entry.pendingRepair) return false;
+    const filepath = getRecordingPath(entry.name);
+    return fs.existsSync(filepath) && !encryption.isEncrypted(filepath);
+  });
+  if (pending.length === 0) return 0;
+
+  console.log(`Encrypting ${pending.length} recording(s) left unencrypted...`);
+  let encrypted = 0;
+  for (const entry of pending) {
+    if (catalog.getEntry(entry.name) && await encryptRecording(entry.name)) encrypted++;
+  }
+  const failed = pending.length - encrypted;
+  if (failed > 0) {
+    console.error(`❌ ${failed} recording(s) are still unencrypted, see npm run recordings:keys status`);
+  }
+  return encrypted;
+}
+
+module.exports = {
+  getRecordingsDir,
+  isValidFilename,
+  getRecordingPath,
+  recordingExists,
+  deleteRecording,
+  encryptRecording,
+  encryptPendingRecordings
+};
@@ -0,0 +1,141 @@
+const path = require('path');
+const fs = require('fs');
+const config = require('./config');
+const catalog = require('./catalog');
+const encryption = require('./encryption');
+const { runFfmpeg } = require('./ffmpeg');
+
+// Thumbnails being generated, keyed by output path, so concurrent requests share one FFmpeg
+const inFlight = new Map();
+
+function getOptions() {
+  const thumbnails = config.recording.thumbnails || {};
+  return {
+    enabled: thumbnails.enabled !== false,
+    width: thumbnails.width || 320,
+    sprite: !!thumbnails.sprite,
+    spriteInterval: thumbnails.spriteInterval || 10,
+    spriteColumns: thumbnails.spriteColumns || 10,
+    spriteWidth: thumbnails.spriteWidth || 160,
+    spriteMaxFrames: thumbnails.spriteMaxFrames || 100
+  };
+}
+
+function getThumbnailsDir() {
+  return path.join(path.resolve(config.recording.directory), 'thumbnails');
+}
+
+function getPosterPath(filename) {
+  return path.join(getThumbnailsDir(), `${filename}.jpg`);
+}
+
+function getSpritePath(filename) {
+  return path.join(getThumbnailsDir(), `${filename}.sprite.jpg`);
+}
+
+// Render to a temporary file first so a half-written image is never served
+async function render(outputPath, args) {
+  if (inFlight.has(outputPath)) return inFlight.get(outputPath);
+
+  const tmpPath = outputPath.replace(/\.jpg$/, '.tmp.jpg');
+  const promise = (async () => {
+    fs.mkdirSync(getThumbnailsDir(), { recursive: true });
+    try {
+      await runFfmpeg([...args, tmpPath]);
+      // Stills show as much as the recording, so they are encrypted like it
+      await encryption.encryptFile(tmpPath);
+      fs.renameSync(tmpPath, outputPath);
+    } finally {
+      try { if (fs.existsSync(tmpPath)) fs.unlinkSync(tmpPath); } catch (e) {}
+    }
+    return outputPath;
+  })();
+
+  inFlight.set(outputPath, promise);
+  try {
+    return await promise;
+  } finally {
+    inFlight.delete(outputPath);
+  }
+}
+
+// Poster frame: one frame a second in, or from the middle of very short clips
+async function generatePoster(filename) {
+  const options = getOptions();
+  const filepath = path.join(path.resolve(config.recording.directory), filename);
+  const entry = catalog.getEntry(filename);
+  const offset = entry?.duration ? Math.min(1, entry.duration / 2) : 0;
+
+  await render(getPosterPath(filename), [
+    '-y',
+    '-ss', String(offset),
+    '-i', await encryption.inputPath(filepath),
+    '-frames:v', '1',
+    '-vf', `scale=${options.width}:-2`,
+    '-q:v', '4'
+  ]);
+  return getPosterPath(filename);
+}
+
+// Sprite sheet: one tile every spriteInterval seconds, spriteColumns tiles per row
+async function generateSprite(filename) {
+  const options = getOptions();
+  const filepath = path.join(path.resolve(config.recording.directory), filename);
+  const entry = catalog.getEntry(filename);
+
+  const duration = entry?.duration || options.spriteInterval;
+  const frames = Math.min(options.spriteMaxFrames, Math.max(1, Math.ceil(duration / options.spriteInterval)));
+  const interval = Math.max(options.spriteInterval, duration / frames);
+  const columns = Math.min(options.spriteColumns, frames);
+  const rows = Math.ceil(frames / columns);
+
+  await render(getSpritePath(filename), [
+    '-y',
+    '-i', await encryption.inputPath(filepath),
+    '-vf', `fps=1/${interval},scale=${options.spriteWidth}:-2,tile=${columns}x${rows}`,
+    '-frames:v', '1',
+    '-q:v', '5'
+  ]);
+
+  const sprite = { interval, columns, rows, frames, tileWidth: options.spriteWidth };
+  if (entry) catalog.updateEntry(filename, { sprite });
+  return getSpritePath(filename);
+}
+
+// Called when the recorder finalizes a file
+async function generateThumbnails(filename) {
+  const options = getOptions();
+  if (!options.enabled) return;
+
+  try {
+    await generatePoster(filename);
+    if (catalog.getEntry(filename)) catalog.updateEntry(filename, { thumbnail: true });
+    if (options.sprite) await generateSprite(filename);
+    console.log(`Thumbnails generated for ${filename}`);
+  } catch (error) {
+    console.error(`Thumbnail generation failed for ${filename}: ${error.message}`);
+  }
+}
+
+// Cached poster or sprite, generated on first request for older recordings
+async function getThumbnail(filename, type = 'poster') {
+  const outputPath = type === 'sprite' ? getSpritePath(filename) : getPosterPath(filename);
+  if (fs.existsSync(outputPath)) return outputPath;
+  return type === 'sprite' ? generateSprite(filename) : generatePoster(filename);
+}
+
+function removeThumbnails(filename) {
+  for (const thumbPath of [getPosterPath(filename), getSpritePath(filename)]) {
+    try {
+      if (fs.existsSync(thumbPath)) fs.unlinkSync(thumbPath);
+    } catch (error) {
+      console.error(`Failed to delete thumbnail ${thumbPath}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = {
+  generateThumbnails,
+  getThumbnail,
+  removeThumbnails
+};
@@ -0,0 +1,384 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const config = require('./config');
+const catalog = require('./catalog');
+const thumbnails = require('./thumbnails');
+const storage = require('./storage');
+const encryption = require('./encryption');
+const integrity = require('./integrity');
+const { runFfmpeg } = require('./ffmpeg');
+
+// Timelapse jobs, keyed by job id. Finished jobs are kept for an hour so
+// clients can pick up the result.
+const jobs = new Map();
+const JOB_TTL_MS = 60 * 60 * 1000;
+
+// Jobs decode hours of footage, so they run one at a time
+let queue = Promise.resolve();
+
+// Devices that get a timelapse of the previous day every night, keyed by
+// device name: { interval, fps, width, lastRunDate }. Persisted in
+// <recording.directory>/timelapse-schedules.json.
+let nightly = null;
+let nightlyTimer = null;
+
+class TimelapseError extends Error {}
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function getOptions() {
+  const timelapse = config.timelapse || {};
+  return {
+    interval: timelapse.interval || 60,
+    fps: timelapse.fps || 30,
+    width: timelapse.width || 1280,
+    maxFrames: timelapse.maxFrames || 20000,
+    nightlyAt: TIME_PATTERN.test(timelapse.nightlyAt) ? timelapse.nightlyAt : '01:00'
+  };
+}
+
+// Validate interval (seconds of footage per frame), fps and width, falling back to config
+function parseSettings(body, { interval, fps, width } = getOptions()) {
+  const settings = {
+    interval: body.interval !== undefined ? Number(body.interval) : interval,
+    fps: body.fps !== undefined ? Number(body.fps) : fps,
+    width: body.width !== undefined ? Number(body.width) : width
+  };
+
+  if (!(settings.interval >= 1)) {
+    throw new TimelapseError('interval must be at least 1 second');
+  }
+  if (!Number.isInteger(settings.fps) || settings.fps < 1 || settings.fps > 60) {
+    throw new TimelapseError('fps must be a whole number from 1 to 60');
+  }
+  if (!Number.isInteger(settings.width) || settings.width < 16 || settings.width > 3840) {
+    throw new TimelapseError('width must be a whole number from 16 to 3840');
+  }
+  return settings;
+}
+
+// The device's finished recordings overlapping the range, oldest first.
+// Clips and earlier timelapses would repeat footage, so they are left out.
+function findSources(deviceName, from, to) {
+  return catalog.listEntries()
+    .filter(entry => entry.deviceName === deviceName && entry.status !== 'recording' &&
+      !entry.clipOf && !entry.timelapseOf)
+    .filter(entry => {
+      const start = new Date(entry.startedAt).getTime();
+      const end = entry.endedAt ? new Date(entry.endedAt).getTime() : start + (entry.duration || 0) * 1000;
+      return end > from && start < to;
+    })
+    .sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt));
+}
+
+// Start rendering a timelapse of { device, from, to } (ISO dates), sampling a
+// frame every `interval` seconds of footage and playing them at `fps`
+function createTimelapse(body = {}) {
+  const deviceName = body.device;
+  if (!deviceName) {
+    throw new TimelapseError('device is required');
+  }
+  const from = new Date(body.from).getTime();
+  const to = new Date(body.to).getTime();
+  if (isNaN(from) || isNaN(to) || to <= from) {
+    throw new TimelapseError('from and to must be dates, with to after from');
+  }
+
+  const settings = parseSettings(body);
+  const frames = Math.ceil((to - from) / 1000 / settings.interval);
+  if (frames > getOptions().maxFrames) {
+    throw new TimelapseError(`That would be ${frames} frames (maximum ${getOptions().maxFrames}); use a longer interval`);
+  }
+
+  const sources = findSources(deviceName, from, to);
+  if (sources.length === 0) {
+    throw new TimelapseError(`No recordings of ${deviceName} in that range`);
+  }
+
+  const timestamp = new Date(from).toISOString().replace(/[:.]/g, '-');
+  const safeDeviceName = deviceName.replace(/[^a-zA-Z0-9-_]/g, '_');
+
+  const job = {
+    id: uuidv4(),
+    device: deviceName,
+    timelapse: uniqueTimelapseName(`${safeDeviceName}_${timestamp}_timelapse`),
+    from: new Date(from),
+    to: new Date(to),
+    ...settings,
+    sources: sources.length,
+    frames: 0,
+    status: 'queued',
+    progress: 0,
+    error: null,
+    createdAt: new Date(),
+    finishedAt: null
+  };
+  jobs.set(job.id, job);
+
+  queue = queue.then(() => runTimelapseJob(job, sources)).catch(() => {});
+  return job;
+}
+
+// A timelapse filename not used by a recording, a catalog entry or a queued
+// or running job: a nightly and a manual timelapse of the same range, or two
+// with different settings, would otherwise overwrite each other
+function uniqueTimelapseName(base) {
+  const taken = (name) => storage.recordingExists(name) || catalog.getEntry(name) ||
+    Array.from(jobs.values()).some(job => (job.status === 'queued' || job.status === 'running') && job.timelapse === name);
+
+  let name = `${base}.mkv`;
+  for (let n = 2; taken(name); n++) {
+    name = `${base}-${n}.mkv`;
+  }
+  return name;
+}
+
+// Height for the output, from the first source with a known resolution
+function outputHeight(sources, width) {
+  const source = sources.find(s => s.width && s.height);
+  const height = source ? width * source.height / source.width : width * 9 / 16;
+  return Math.round(height / 2) * 2;
+}
+
+async function runTimelapseJob(job, sources) {
+  const outputPath = storage.getRecordingPath(job.timelapse);
+  const tmpPath = `${outputPath}.tmp`;
+  const framesDir = path.join(os.tmpdir(), `lan-cctv-timelapse-${job.id}`);
+  const from = job.from.getTime();
+  const to = job.to.getTime();
+  const intervalMs = job.interval * 1000;
+  const height = outputHeight(sources, job.width);
+
+  // Sources can differ in resolution; letterbox every frame to one size
+  const scale = `scale=${job.width}:${height}:force_original_aspect_ratio=decrease,` +
+    `pad=${job.width}:${height}:(ow-iw)/2:(oh-ih)/2`;
+
+  job.status = 'running';
+  console.log(`Rendering timelapse ${job.timelapse} from ${sources.length} recordings (1 frame per ${job.interval}s)`);
+
+  try {
+    fs.mkdirSync(framesDir, { recursive: true });
+
+    // Sample times are from + k * interval. Each source contributes the
+    // samples that fall inside it and after the last one already taken.
+    const ranges = [];
+    let nextSample = from;
+    for (const source of sources) {
+      const start = new Date(source.startedAt).getTime();
+      const end = Math.min(to, source.endedAt ? new Date(source.endedAt).getTime() : start + (source.duration || 0) * 1000);
+      if (nextSample < start) {
+        nextSample = from + Math.ceil((start - from) / intervalMs) * intervalMs;
+      }
+      if (nextSample >= end) continue;
+
+      const count = Math.floor((end - 1 - nextSample) / intervalMs) + 1;
+      ranges.push({ source, offset: (nextSample - start) / 1000, duration: (end - nextSample) / 1000, count });
+      nextSample += count * intervalMs;
+    }
+
+    // Extracting frames is most of the work; encoding them is the last 10%
+    const total = ranges.reduce((sum, range) => sum + range.duration, 0);
+    let done = 0;
+
+    for (const range of ranges) {
+      await runFfmpeg([
+        '-y',
+        '-ss', String(range.offset),
+        '-i', await encryption.inputPath(storage.getRecordingPath(range.source.name)),
+        '-t', String(range.duration),
+        '-map', '0:v:0',
+        '-vf', `fps=1/${job.interval},${scale}`,
+        '-frames:v', String(range.count),
+        '-q:v', '3',
+        '-start_number', String(job.frames),
+        path.join(framesDir, 'frame_%06d.jpg')
+      ], {
+        onProgress: (seconds) => { job.progress = 0.9 * Math.min(1, (done + seconds) / total); }
+      }).catch((error) => {
+        // A damaged source only leaves a gap
+        console.warn(`⚠️  Timelapse ${job.timelapse}: skipped part of ${range.source.name}: ${error.message}`);
+      });
+
+      done += range.duration;
+      job.frames = fs.readdirSync(framesDir).filter(name => name.endsWith('.jpg')).length;
+      job.progress = 0.9 * (done / total);
+    }
+
+    if (job.frames === 0) {
+      throw new Error('No frames could be read from the recordings');
+    }
+
+    await runFfmpeg([
+      '-y',
+      '-framerate', String(job.fps),
+      '-start_number', '0',
+      '-i', path.join(framesDir, 'frame_%06d.jpg'),
+      '-c:v', 'libx264',
+      '-preset', 'veryfast',
+      '-crf', '23',
+      '-pix_fmt', 'yuv420p',
+      '-f', 'matroska',
+      tmpPath
+    ]);
+
+    integrity.recordHash(job.timelapse, await integrity.hashFile(tmpPath));
+    await encryption.encryptFile(tmpPath);
+    fs.renameSync(tmpPath, outputPath);
+    const stats = fs.statSync(outputPath);
+    const duration = job.frames / job.fps;
+
+    catalog.addEntry({
+      name: job.timelapse,
+      sessionId: job.timelapse.replace(/\.\w+$/, ''),
+      segment: null,
+      deviceName: job.device,
+      clientId: null,
+      startedAt: job.from,
+      endedAt: job.to,
+      duration,
+      codecs: { video: 'H264' },
+      width: job.width,
+      height,
+      frames: job.frames,
+      size: stats.size,
+      modified: stats.mtime,
+      status: 'complete',
+      endedCleanly: true,
+      timelapseOf: { from: job.from, to: job.to, interval: job.interval, fps: job.fps, sources: sources.map(s => s.name) }
+    });
+    thumbnails.generateThumbnails(job.timelapse);
+
+    job.status = 'done';
+    job.progress = 1;
+    console.log(`✓ Timelapse rendered: ${job.timelapse} (${job.frames} frames)`);
+  } catch (error) {
+    job.status = 'failed';
+    job.error = error.message;
+    console.error(`Timelapse failed for ${job.timelapse}: ${error.message}`);
+    try { if (fs.existsSync(tmpPath)) fs.unlinkSync(tmpPath); } catch (e) {}
+  } finally {
+    fs.rmSync(framesDir, { recursive: true, force: true });
+    job.finishedAt = new Date();
+    setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+  }
+}
+
+function getTimelapseJob(id) {
+  return jobs.get(id) || null;
+}
+
+function listTimelapseJobs() {
+  return Array.from(jobs.values()).sort((a, b) => b.createdAt - a.createdAt);
+}
+
+function getNightlyPath() {
+  return path.join(path.resolve(config.recording.directory), 'timelapse-schedules.json');
+}
+
+function loadNightly() {
+  if (nightly) return nightly;
+  nightly = {};
+  try {
+    if (fs.existsSync(getNightlyPath())) {
+      nightly = JSON.parse(fs.readFileSync(getNightlyPath(), 'utf8'));
+    }
+  } catch (error) {
+    console.error('Failed to read timelapse schedules:', error.message);
+  }
+  return nightly;
+}
+
+function saveNightly() {
+  fs.mkdirSync(path.dirname(getNightlyPath()), { recursive: true });
+  const tmpPath = `${getNightlyPath()}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(nightly, null, 2));
+  fs.renameSync(tmpPath, getNightlyPath());
+}
+
+function listNightly() {
+  return { nightlyAt: getOptions().nightlyAt, devices: { ...loadNightly() } };
+}
+
+// Render a timelapse of the previous day for a device every night
+function setNightly(deviceName, body = {}) {
+  const settings = parseSettings(body);
+  loadNightly();
+  nightly[deviceName] = { ...settings, lastRunDate: nightly[deviceName]?.lastRunDate || null };
+  saveNightly();
+  console.log(`Nightly timelapse enabled for ${deviceName} (1 frame per ${settings.interval}s)`);
+  return nightly[deviceName];
+}
+
+function removeNightly(deviceName) {
+  loadNightly();
+  if (!nightly[deviceName]) return false;
+  delete nightly[deviceName];
+  saveNightly();
+  console.log(`Nightly timelapse disabled for ${deviceName}`);
+  return true;
+}
+
+// Local calendar date, e.g. 2024-01-31
+function localDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Once the nightly time has passed, start yesterday's timelapse for every
+// device that hasn't had one today. Days the server was down are not caught up.
+function runNightly(now = new Date()) {
+  const [hours, minutes] = getOptions().nightlyAt.split(':').map(Number);
+  if (now.getHours() * 60 + now.getMinutes() < hours * 60 + minutes) return;
+
+  const today = localDate(now);
+  const midnight = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const yesterday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+
+  for (const [deviceName, settings] of Object.entries(loadNightly())) {
+    if (settings.lastRunDate === today) continue;
+    settings.lastRunDate = today;
+    saveNightly();
+
+    try {
+      createTimelapse({ device: deviceName, from: yesterday, to: midnight, ...settings });
+    } catch (error) {
+      console.log(`Nightly timelapse skipped for ${deviceName}: ${error.message}`);
+    }
+  }
+}
+
+function startNightlyTimelapses() {
+  if (nightlyTimer) return;
+
+  const tick = () => {
+    try {
+      runNightly();
+    } catch (error) {
+      console.error('Nightly timelapse check failed:', error.message);
+    }
+    nightlyTimer = setTimeout(tick, 60000 - (Date.now() % 60000) + 50);
+    nightlyTimer.unref();
+  };
+  tick();
+
+  console.log(`✓ Nightly timelapses at ${getOptions().nightlyAt} for ${Object.keys(loadNightly()).length} devices`);
+}
+
+function stopNightlyTimelapses() {
+  clearTimeout(nightlyTimer);
+  nightlyTimer = null;
+}
+
+module.exports = {
+  createTimelapse,
+  getTimelapseJob,
+  listTimelapseJobs,
+  listNightly,
+  setNightly,
+  removeNightly,
+  startNightlyTimelapses,
+  stopNightlyTimelapses,
+  TimelapseError
+};
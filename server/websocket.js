@@ -2,6 +2,10 @@ const WebSocket = require('ws');
 const { v4: uuidv4 } = require('uuid');
 const mediasoup = require('./mediasoup');
 const recorder = require('./recorder');
+const hls = require('./hls');
+const motion = require('./motion');
+const recordingModes = require('./recording-modes');
+const bookmarks = require('./bookmarks');
 const config = require('./config');
 
 // Connected clients
@@ -72,6 +76,14 @@ function initializeWebSocket(server, router) {
     });
   });
 
+  // Push motion events to every dashboard
+  motion.emitter.on('motion-start', (event) => broadcastToMasters('motion-start', event));
+  motion.emitter.on('motion-end', (event) => broadcastToMasters('motion-end', event));
+  recorder.emitter.on('state', (state) => broadcastToMasters('recording-state', state));
+  for (const type of ['bookmark-added', 'bookmark-updated', 'bookmark-removed']) {
+    bookmarks.emitter.on(type, (bookmark) => broadcastToMasters(type, bookmark));
+  }
+
   console.log('WebSocket server initialized');
 }
 
@@ -106,7 +118,9 @@ async function handleMessage(clientId, ws, data) {
         const streamerList = Array.from(streamers.entries()).map(([id, s]) => ({
           clientId: id,
           deviceName: s.deviceName,
-          producers: mediasoup.getProducersByClient(id)
+          producers: mediasoup.getProducersByClient(id),
+          motion: motion.isMotionActive(id),
+          recording: recorder.getDeviceState(id)
         }));
         
         send(ws, 'streamer-list', { streamers: streamerList });
@@ -160,16 +174,20 @@ async function handleMessage(clientId, ws, data) {
         kind
       });
 
-      // Start recording for video producers
+      send(ws, 'produced', { id: result.id, kind });
+
+      // Start recording (per the device's recording mode) without holding up
+      // the device's next produce, so the recorder can pair its audio and
+      // video producers into one file
+      recordingModes.handleProducer(result.id, client.deviceName).catch((error) => {
+        console.error('Failed to start recording:', error);
+      });
+
       if (kind === 'video') {
-        try {
-          await recorder.startRecording(result.id, client.deviceName);
-        } catch (error) {
-          console.error('Failed to start recording:', error);
-        }
+        motion.startAnalysis(result.id, client.deviceName).catch((error) => {
+          console.error('Failed to start motion detection:', error);
+        });
       }
-
-      send(ws, 'produced', { id: result.id, kind });
       break;
     }
 
@@ -209,7 +227,9 @@ async function handleMessage(clientId, ws, data) {
       const streamerList = Array.from(streamers.entries()).map(([id, s]) => ({
         clientId: id,
         deviceName: s.deviceName,
-        producers: mediasoup.getProducersByClient(id)
+        producers: mediasoup.getProducersByClient(id),
+        motion: motion.isMotionActive(id),
+        recording: recorder.getDeviceState(id)
       }));
       
       send(ws, 'streamer-list', { streamers: streamerList });
@@ -222,6 +242,47 @@ async function handleMessage(clientId, ws, data) {
       break;
     }
 
+    case 'start-recording':
+    case 'stop-recording': {
+      // Master starting or stopping a device's recording on demand
+      if (client.role !== 'master') {
+        throw new Error('Only masters can control recording');
+      }
+      const { targetClientId } = payload;
+      if (type === 'start-recording') {
+        await recordingModes.startManualRecording(targetClientId);
+      } else {
+        recordingModes.stopManualRecording(targetClientId);
+      }
+      send(ws, 'recording-state', recorder.getDeviceState(targetClientId));
+      break;
+    }
+
+    case 'add-bookmark':
+    case 'update-bookmark':
+    case 'remove-bookmark': {
+      // Operator notes; every dashboard (this one included) gets the
+      // bookmark-added/-updated/-removed broadcast
+      if (client.role !== 'master') {
+        throw new Error('Only masters can bookmark');
+      }
+      try {
+        if (type === 'add-bookmark') {
+          const { targetClientId, deviceName, time, note, snapshot } = payload;
+          bookmarks.addBookmark({ device: deviceName, deviceId: targetClientId, time, note, snapshot });
+        } else if (type === 'update-bookmark') {
+          if (!bookmarks.updateBookmark(payload.id, { note: payload.note, time: payload.time })) {
+            throw new Error('Bookmark not found');
+          }
+        } else {
+          bookmarks.removeBookmark(payload.id);
+        }
+      } catch (error) {
+        send(ws, 'bookmark-error', { message: error.message });
+      }
+      break;
+    }
+
     case 'stop-streaming': {
       // Device explicitly stopped streaming (not disconnected)
       console.log(`Streamer stopped streaming: ${client.deviceName} (${clientId})`);
@@ -231,6 +292,10 @@ async function handleMessage(clientId, ws, data) {
       for (const producer of producers) {
         recorder.stopRecording(producer.id);
       }
+      recordingModes.releaseDevice(clientId);
+      recorder.clearDeviceState(clientId);
+      hls.stopLive(clientId);
+      motion.stopAnalysis(clientId);
 
       // Clean up mediasoup resources for this client
       mediasoup.cleanupClient(clientId);
@@ -267,6 +332,10 @@ function handleDisconnect(clientId) {
     for (const producer of producers) {
       recorder.stopRecording(producer.id);
     }
+    recordingModes.releaseDevice(clientId);
+    recorder.clearDeviceState(clientId);
+    hls.stopLive(clientId);
+    motion.stopAnalysis(clientId);
 
     // Clean up mediasoup resources
     mediasoup.cleanupClient(clientId);
@@ -0,0 +1,185 @@
+const { Readable } = require('stream');
+
+// Streaming ZIP writer for downloads of many recordings. Entries are stored
+// uncompressed (video doesn't compress) and written one after the other, with
+// the CRC in a data descriptor after each file, so nothing is buffered.
+// ZIP64 records are added where sizes or offsets pass 4 GiB.
+
+const UINT32_MAX = 0xffffffff;
+const UTF8_AND_DESCRIPTOR = 0x0808; // Bit 11: UTF-8 names, bit 3: data descriptor
+const VERSION_ZIP64 = 45;
+const VERSION_DEFAULT = 20;
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c;
+});
+
+function crc32(crc, data) {
+  crc = ~crc;
+  for (let i = 0; i < data.length; i++) crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  return ~crc >>> 0;
+}
+
+// MS-DOS time and date of a Date (local time, 2 second resolution)
+function dosDateTime(date) {
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+function zip64Extra(values) {
+  const extra = Buffer.alloc(4 + values.length * 8);
+  extra.writeUInt16LE(0x0001, 0);
+  extra.writeUInt16LE(values.length * 8, 2);
+  values.forEach((value, i) => extra.writeBigUInt64LE(BigInt(value), 4 + i * 8));
+  return extra;
+}
+
+function localHeader(entry) {
+  const name = Buffer.from(entry.name);
+  const extra = entry.zip64 ? zip64Extra([0, 0]) : Buffer.alloc(0);
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(0x04034b50, 0);
+  header.writeUInt16LE(entry.zip64 ? VERSION_ZIP64 : VERSION_DEFAULT, 4);
+  header.writeUInt16LE(UTF8_AND_DESCRIPTOR, 6);
+  header.writeUInt16LE(0, 8); // Stored
+  header.writeUInt16LE(entry.dos.time, 10);
+  header.writeUInt16LE(entry.dos.date, 12);
+  // CRC and sizes follow in the data descriptor
+  header.writeUInt32LE(0, 14);
+  header.writeUInt32LE(entry.zip64 ? UINT32_MAX : 0, 18);
+  header.writeUInt32LE(entry.zip64 ? UINT32_MAX : 0, 22);
+  header.writeUInt16LE(name.length, 26);
+  header.writeUInt16LE(extra.length, 28);
+  return Buffer.concat([header, name, extra]);
+}
+
+function dataDescriptor(entry) {
+  const descriptor = Buffer.alloc(entry.zip64 ? 24 : 16);
+  descriptor.writeUInt32LE(0x08074b50, 0);
+  descriptor.writeUInt32LE(entry.crc, 4);
+  if (entry.zip64) {
+    descriptor.writeBigUInt64LE(BigInt(entry.size), 8);
+    descriptor.writeBigUInt64LE(BigInt(entry.size), 16);
+  } else {
+    descriptor.writeUInt32LE(entry.size, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+  }
+  return descriptor;
+}
+
+function centralHeader(entry) {
+  const name = Buffer.from(entry.name);
+  const bigSize = entry.size >= UINT32_MAX;
+  const bigOffset = entry.offset >= UINT32_MAX;
+  const extra = bigSize || bigOffset
+    ? zip64Extra([...(bigSize ? [entry.size, entry.size] : []), ...(bigOffset ? [entry.offset] : [])])
+    : Buffer.alloc(0);
+
+  const header = Buffer.alloc(46);
+  header.writeUInt32LE(0x02014b50, 0);
+  header.writeUInt16LE((3 << 8) | VERSION_ZIP64, 4); // Made by: Unix
+  header.writeUInt16LE(extra.length ? VERSION_ZIP64 : VERSION_DEFAULT, 6);
+  header.writeUInt16LE(UTF8_AND_DESCRIPTOR, 8);
+  header.writeUInt16LE(0, 10);
+  header.writeUInt16LE(entry.dos.time, 12);
+  header.writeUInt16LE(entry.dos.date, 14);
+  header.writeUInt32LE(entry.crc, 16);
+  header.writeUInt32LE(bigSize ? UINT32_MAX : entry.size, 20);
+  header.writeUInt32LE(bigSize ? UINT32_MAX : entry.size, 24);
+  header.writeUInt16LE(name.length, 28);
+  header.writeUInt16LE(extra.length, 30);
+  header.writeUInt32LE((0o100644 << 16) >>> 0, 38); // Unix mode rw-r--r--
+  header.writeUInt32LE(bigOffset ? UINT32_MAX : entry.offset, 42);
+  return Buffer.concat([header, name, extra]);
+}
+
+function endOfCentralDirectory(count, offset, size) {
+  const records = [];
+  const zip64 = count >= 0xffff || offset >= UINT32_MAX || size >= UINT32_MAX;
+
+  if (zip64) {
+    const record = Buffer.alloc(56);
+    record.writeUInt32LE(0x06064b50, 0);
+    record.writeBigUInt64LE(44n, 4);
+    record.writeUInt16LE((3 << 8) | VERSION_ZIP64, 12);
+    record.writeUInt16LE(VERSION_ZIP64, 14);
+    record.writeBigUInt64LE(BigInt(count), 24);
+    record.writeBigUInt64LE(BigInt(count), 32);
+    record.writeBigUInt64LE(BigInt(size), 40);
+    record.writeBigUInt64LE(BigInt(offset), 48);
+
+    const locator = Buffer.alloc(20);
+    locator.writeUInt32LE(0x07064b50, 0);
+    locator.writeBigUInt64LE(BigInt(offset + size), 8);
+    locator.writeUInt32LE(1, 16);
+    records.push(record, locator);
+  }
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Math.min(count, 0xffff), 8);
+  end.writeUInt16LE(Math.min(count, 0xffff), 10);
+  end.writeUInt32LE(Math.min(size, UINT32_MAX), 12);
+  end.writeUInt32LE(Math.min(offset, UINT32_MAX), 16);
+  records.push(end);
+  return Buffer.concat(records);
+}
+
+async function* generateZip(files) {
+  const entries = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const entry = {
+      name: file.name,
+      dos: dosDateTime(file.mtime || new Date()),
+      zip64: file.size >= UINT32_MAX,
+      offset,
+      crc: 0,
+      size: 0
+    };
+
+    const header = localHeader(entry);
+    yield header;
+    offset += header.length;
+
+    for await (const chunk of file.open()) {
+      entry.crc = crc32(entry.crc, chunk);
+      entry.size += chunk.length;
+      yield chunk;
+    }
+    offset += entry.size;
+    if (entry.size !== file.size) {
+      throw new Error(`${file.name} changed size while it was being zipped`);
+    }
+
+    const descriptor = dataDescriptor(entry);
+    yield descriptor;
+    offset += descriptor.length;
+    entries.push(entry);
+  }
+
+  const centralOffset = offset;
+  let centralSize = 0;
+  for (const entry of entries) {
+    const header = centralHeader(entry);
+    yield header;
+    centralSize += header.length;
+  }
+  yield endOfCentralDirectory(entries.length, centralOffset, centralSize);
+}
+
+// Zip archive of files: [{ name, size, mtime, open: () => readable of the content }].
+// size must be known up front; it decides whether the entry needs ZIP64.
+function createZipStream(files) {
+  return Readable.from(generateZip(files));
+}
+
+module.exports = {
+  createZipStream
+};